@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/*
+ Command-line tool for inspecting how the bidi algorithm handles some text. Reads the files given as arguments,
+ or stdin if there are none, and prints the paragraph levels, the per-character types and levels, the reorder
+ segments, and the text in visual order.
+
+ Run with --help for usage.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const bidi = require('../dist/bidi.js')()
+
+const USAGE = `Usage: bidi [options] [file ...]
+
+Reads the given files, or stdin if none are given (or for "-"), and prints how the
+Unicode Bidirectional Algorithm resolves their text: the visual order, paragraph
+levels, reorder segments, and each character's code point, bidi type, and level.
+
+Options:
+  -d, --direction <dir>  base direction: "ltr", "rtl", or "auto" (default: "auto")
+  -l, --lines            process each line separately, rather than the whole input
+  -j, --json             print the results as JSON
+  -t, --trace            also show which rules changed each character's type or level,
+                         and the isolating run sequences
+  -h, --help             show this help
+
+A single line break at the end of the input is ignored.`
+
+function parseArgs (args) {
+  const options = { direction: 'auto', lines: false, json: false, trace: false, files: [] }
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '-d' || arg === '--direction' || arg.startsWith('--direction=')) {
+      options.direction = arg.startsWith('--direction=') ? arg.slice(12) : args[++i]
+      if (['ltr', 'rtl', 'auto'].indexOf(options.direction) === -1) {
+        throw new Error(`Invalid direction: ${options.direction}`)
+      }
+    } else if (arg === '-l' || arg === '--lines') {
+      options.lines = true
+    } else if (arg === '-j' || arg === '--json') {
+      options.json = true
+    } else if (arg === '-t' || arg === '--trace') {
+      options.trace = true
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`)
+    } else {
+      options.files.push(arg)
+    }
+  }
+  return options
+}
+
+function analyze (text, direction, trace) {
+  const embeddingLevels = bidi.getEmbeddingLevels(text, direction, { trace })
+  const characters = []
+  for (let i = 0; i < text.length; i++) {
+    const codePoint = text.codePointAt(i)
+    const char = String.fromCodePoint(codePoint)
+    characters.push({
+      index: i,
+      codePoint: 'U+' + codePoint.toString(16).toUpperCase().padStart(4, '0'),
+      char,
+      type: bidi.getBidiCharTypeName(char),
+      level: embeddingLevels.levels[i]
+    })
+    if (trace) {
+      characters[characters.length - 1].steps = embeddingLevels.trace.characters[i].steps
+    }
+    if (codePoint > 0xFFFF) {
+      i++
+    }
+  }
+  const result = {
+    text,
+    visual: bidi.getReorderedString(text, embeddingLevels),
+    paragraphs: embeddingLevels.paragraphs.map(({ start, end, level, levelSource }) => ({ start, end, level, levelSource })),
+    segments: bidi.getReorderSegments(text, embeddingLevels),
+    characters
+  }
+  if (trace) {
+    result.isolatingRunSequences = embeddingLevels.trace.isolatingRunSequences
+  }
+  return result
+}
+
+// Don't print characters that would disturb the table, such as line breaks and formatting characters
+const UNPRINTED_TYPES = ['B', 'S', 'BN', 'LRE', 'RLE', 'LRO', 'RLO', 'PDF', 'LRI', 'RLI', 'FSI', 'PDI']
+
+function formatResult ({ visual, paragraphs, segments, characters, isolatingRunSequences }) {
+  const lines = [`Visual:     ${visual.replace(/[\r\n\u2028\u2029]/g, ' ')}`]
+  lines.push('Paragraphs: ' + paragraphs.map(({ start, end, level, levelSource }) =>
+    `${start}-${end} level ${level} (${level & 1 ? 'rtl' : 'ltr'}, ${levelSource})`
+  ).join(', '))
+  lines.push('Segments:   ' + (segments.length ? segments.map(([start, end]) => `${start}-${end}`).join(', ') : 'none'))
+  if (isolatingRunSequences) {
+    lines.push('Isolating run sequences:')
+    isolatingRunSequences.forEach(({ level, sos, eos, runs }) => {
+      lines.push(`  ${runs.map(([start, end]) => `${start}-${end}`).join(' + ')} level ${level}, sos ${sos}, eos ${eos}`)
+    })
+  }
+  const header = 'Index  Code point  Type  Level  Char'
+  lines.push(isolatingRunSequences ? header.padEnd(40) + 'Rules' : header)
+  characters.forEach(({ index, codePoint, char, type, level, steps }) => {
+    const printedChar = UNPRINTED_TYPES.indexOf(type) === -1 && !/[\x00-\x1f\x7f]/.test(char) ? char : ''
+    let line = `${String(index).padStart(5)}  ${codePoint.padEnd(10)}  ${type.padEnd(4)}  ${String(level).padStart(5)}  ${printedChar}`
+    if (steps) {
+      line = line.padEnd(40) + steps.map(step => `${step.rule}→${step.type || step.level}`).join(', ')
+    }
+    lines.push(line)
+  })
+  return lines.join('\n')
+}
+
+function readInput (file) {
+  return fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8')
+}
+
+function main () {
+  let options
+  try {
+    options = parseArgs(process.argv.slice(2))
+  } catch (err) {
+    console.error(`bidi: ${err.message}\n\n${USAGE}`)
+    process.exitCode = 2
+    return
+  }
+  if (options.help) {
+    console.log(USAGE)
+    return
+  }
+
+  const results = []
+  const files = options.files.length ? options.files : ['-']
+  for (const file of files) {
+    let input
+    try {
+      input = readInput(file).replace(/(\r\n|\r|\n)$/, '')
+    } catch (err) {
+      console.error(`bidi: ${err.message}`)
+      process.exitCode = 1
+      return
+    }
+    const texts = options.lines ? input.split(/\r\n|\r|\n/) : [input]
+    texts.forEach((text, i) => {
+      const result = analyze(text, options.direction, options.trace)
+      if (files.length > 1) {
+        result.file = file
+      }
+      if (options.lines) {
+        result.line = i + 1
+      }
+      results.push(result)
+    })
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2))
+  } else {
+    console.log(results.map(result => {
+      const heading = [result.file, result.line && `line ${result.line}`].filter(Boolean).join(', ')
+      return (heading ? `== ${heading} ==\n` : '') + formatResult(result)
+    }).join('\n\n'))
+  }
+}
+
+main()
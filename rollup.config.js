@@ -3,15 +3,16 @@ import buble from '@rollup/plugin-buble'
 
 export default [
   // First compile to an iife, and wrap the whole thing into an exported factory function.
-  // This ensures all the code is self-contained within that one factory function.
+  // This ensures all the code is self-contained within that one factory function. The factory
+  // optionally takes a Unicode data set generated by scripts/generateBidiData.mjs --out.
   {
     input: 'src/index.js',
     output: {
       file: 'dist/bidi.js',
       format: 'iife',
       name: 'bidi',
-      banner: `export default function bidiFactory() {`,
-      footer: `return bidi}`
+      banner: `export default function bidiFactory(unicodeData) {`,
+      footer: `if (unicodeData) bidi.setUnicodeData(unicodeData)\nreturn bidi}`
     },
     plugins: [
       // Transpile down to ES5 for all build artifacts. This helps ensure that downstream
@@ -0,0 +1,105 @@
+import { execSync } from 'child_process'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { pathToFileURL } from 'url'
+import { PerformanceObserver, performance } from 'perf_hooks'
+
+/*
+ Compares the speed and garbage collection load of getEmbeddingLevels in the working tree against the version
+ at a given git revision, for a "many short labels per frame" workload and a single long text.
+
+ Usage: node scripts/benchmarkEmbeddingLevels.js <baselineRevision>
+
+ The baseline revision is required, e.g. the commit before a change being measured, or a release tag.
+*/
+
+const baselineRev = process.argv[2]
+if (!baselineRev) {
+  console.error('Usage: node scripts/benchmarkEmbeddingLevels.js <baselineRevision>')
+  process.exit(1)
+}
+
+const LABEL_COUNT = 2000
+const FRAMES = 100
+const LONG_TEXT_RUNS = 50
+
+// Deterministic pseudo-random test strings mixing LTR, RTL, numbers, brackets, and explicit formatting chars
+let seed = 1
+function random (n) {
+  seed = (seed * 1103515245 + 12345) & 0x7fffffff
+  return seed % n
+}
+const words = ['hello', 'world', 'שלום', 'עולם', 'مرحبا', 'بالعالم', '123', '4.56', '(x)', '[שלום]', '⁧abc⁩', '!', '-']
+function makeText (wordCount) {
+  const text = []
+  for (let i = 0; i < wordCount; i++) {
+    text.push(words[random(words.length)])
+  }
+  return text.join(' ')
+}
+const labels = []
+for (let i = 0; i < LABEL_COUNT; i++) {
+  labels.push(makeText(2 + random(6)))
+}
+const longText = makeText(5000)
+
+let gcCount = 0
+let gcTime = 0
+new PerformanceObserver(list => {
+  list.getEntries().forEach(entry => {
+    gcCount++
+    gcTime += entry.duration
+  })
+}).observe({ entryTypes: ['gc'] })
+
+async function measure (name, fn) {
+  fn() //warm up
+  await new Promise(resolve => setTimeout(resolve, 10)) //let pending gc entries flush
+  gcCount = gcTime = 0
+  const start = performance.now()
+  fn()
+  const elapsed = performance.now() - start
+  await new Promise(resolve => setTimeout(resolve, 10))
+  console.log(`  ${name.padEnd(36)} ${elapsed.toFixed(1).padStart(8)}ms   ${String(gcCount).padStart(4)} GCs, ${gcTime.toFixed(1)}ms in GC`)
+}
+
+async function main () {
+  const baselineDir = mkdtempSync(join(tmpdir(), 'bidi-baseline-'))
+  try {
+    execSync(`git archive ${baselineRev} src | tar -x -C "${baselineDir}"`)
+    const baseline = await import(pathToFileURL(join(baselineDir, 'src/embeddingLevels.js')))
+    const current = await import(new URL('../src/embeddingLevels.js', import.meta.url))
+
+    const levelsBuffer = new Uint8Array(Math.max(longText.length, ...labels.map(label => label.length)))
+    const variants = [
+      [`baseline (${baselineRev})`, string => baseline.getEmbeddingLevels(string)],
+      ['current', string => current.getEmbeddingLevels(string)],
+      ['current, reusing levels array', string => current.getEmbeddingLevels(string, 'auto', { levels: levelsBuffer })]
+    ]
+
+    console.log(`${LABEL_COUNT} labels per frame x ${FRAMES} frames:`)
+    for (const [name, getEmbeddingLevels] of variants) {
+      await measure(name, () => {
+        for (let frame = 0; frame < FRAMES; frame++) {
+          for (let i = 0; i < labels.length; i++) {
+            getEmbeddingLevels(labels[i])
+          }
+        }
+      })
+    }
+
+    console.log(`${longText.length} character text x ${LONG_TEXT_RUNS}:`)
+    for (const [name, getEmbeddingLevels] of variants) {
+      await measure(name, () => {
+        for (let i = 0; i < LONG_TEXT_RUNS; i++) {
+          getEmbeddingLevels(longText)
+        }
+      })
+    }
+  } finally {
+    rmSync(baselineDir, { recursive: true, force: true })
+  }
+}
+
+main()
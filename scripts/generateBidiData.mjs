@@ -0,0 +1,679 @@
+import fetch from 'node-fetch'
+import { existsSync, readFileSync, writeFileSync } from 'fs'
+import { join } from 'path'
+
+/*
+ Generates the Unicode data used by bidi-js, from the Unicode Character Database (UCD) files of a single
+ Unicode version.
+
+ Usage: node scripts/generateBidiData.mjs [--ucd <dir>] [--version <x.y.z>] [--out <file.json>]
+
+   --ucd <dir>        Read the UCD files from a local directory laid out like the "ucd" directory of the
+                      UCD release (e.g. containing UnicodeData.txt, extracted/DerivedBidiClass.txt, and
+                      emoji/emoji-data.txt), instead of downloading them.
+   --version <x.y.z>  The Unicode version to download from unicode.org. Defaults to 13.0.0. With --ucd, the
+                      local files are instead checked to be this version.
+   --out <file.json>  Write the whole data set to a single JSON file, to be passed to the bidiFactory function
+                      or to setUnicodeData, instead of replacing the bundled data files in src/data.
+
+ Every file that declares its version in its header must declare the same version, so the generated data
+ can't silently mix versions. Unicode 6.3.0 is the earliest version supported, being the first with
+ BidiBrackets.txt and the isolate formatting characters. The UCD only includes emoji/emoji-data.txt from 13.0.0
+ on; without it, the Extended_Pictographic data used for line and grapheme cluster breaking is copied from the
+ bundled data files instead.
+*/
+
+const radix = 36
+const DEFAULT_VERSION = '13.0.0'
+const MIN_VERSION = '6.3.0'
+
+// These files must declare their version, and it must match
+const VERSIONED_FILES = [
+  'extracted/DerivedBidiClass.txt', 'BidiBrackets.txt', 'BidiMirroring.txt', 'ArabicShaping.txt',
+  'auxiliary/GraphemeBreakProperty.txt'
+]
+
+const args = parseArgs(process.argv.slice(2))
+const fileVersions = new Map()
+let extendedPictographicRanges
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(ucd|version|out)$/)
+    if (!match || i + 1 >= argv.length) {
+      throw new Error(`Unexpected argument: ${argv[i]}`)
+    }
+    args[match[1]] = argv[++i]
+  }
+  if (!args.ucd && !args.version) {
+    args.version = DEFAULT_VERSION
+  }
+  return args
+}
+
+/**
+ * Read a UCD file, by its path relative to the "ucd" directory, either from the local --ucd directory or
+ * from unicode.org. The version found in its header, if any, is recorded for checking later. If `optional`
+ * is true, null is returned when the file doesn't exist.
+ */
+async function readUcdFile(path, optional) {
+  let txt
+  if (args.ucd) {
+    const filePath = join(args.ucd, path)
+    if (optional && !existsSync(filePath)) {
+      return null
+    }
+    txt = readFileSync(filePath, 'utf8')
+  } else {
+    const url = `https://www.unicode.org/Public/${args.version}/ucd/${path}`
+    const response = await fetch(url)
+    if (optional && response.status === 404) {
+      return null
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`)
+    }
+    txt = await response.text()
+  }
+  // Headers look like "# DerivedBidiClass-13.0.0.txt"
+  const match = txt.match(/^#\s*\S+?-(\d+\.\d+\.\d+)\.txt/)
+  if (match && compareVersions(match[1], MIN_VERSION) < 0) {
+    throw new Error(`${path} is from Unicode ${match[1]}, but the earliest version supported is ${MIN_VERSION}`)
+  }
+  fileVersions.set(path, match ? match[1] : null)
+  return txt
+}
+
+/**
+ * Read one of the bundled data files in src/data, as written by this script.
+ */
+function readBundledData(fileName) {
+  const txt = readFileSync(new URL(`../src/data/${fileName}`, import.meta.url), 'utf8')
+  return JSON.parse(txt.slice(txt.indexOf('export default ') + 'export default '.length))
+}
+
+function compareVersions(a, b) {
+  a = a.split('.').map(Number)
+  b = b.split('.').map(Number)
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i]
+    }
+  }
+  return 0
+}
+
+/**
+ * Check that all the files read declare a single Unicode version, and return it.
+ */
+function checkVersions() {
+  VERSIONED_FILES.forEach(path => {
+    if (!fileVersions.get(path)) {
+      throw new Error(`Could not find the Unicode version in the header of ${path}`)
+    }
+  })
+  const version = args.version || fileVersions.get(VERSIONED_FILES[0])
+  fileVersions.forEach((fileVersion, path) => {
+    if (fileVersion && fileVersion !== version) {
+      throw new Error(`${path} is from Unicode ${fileVersion}, but expected ${version}`)
+    }
+  })
+  return version
+}
+
+/**
+ * Generate data file containing all bidi character types.
+ *
+ * The format is an object whose keys are the bidi character classes (omitting the default "L"),
+ * and its values are a comma-delimited string defining all the codepoint ranges in that class. Each
+ * range is either a single codepoint or start+end codepoints separated by "+". Every codepoint is
+ * stored as a base36-encoded relative offset from the previous codepoint.
+ */
+async function generateBidiCharTypesData() {
+  const txt = await readUcdFile('extracted/DerivedBidiClass.txt')
+  const classMap = new Map()
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-Z0-9.]+)\s*;\s([\w]+)*/)
+    if (match) {
+      const cls = match[2]
+      if (cls !== 'L') { // L is the default so omit it
+        let codePoints = match[1].split('..').map(c => parseInt(c, 16))
+        let ranges = classMap.get(cls)
+        if (!ranges) {
+          classMap.set(cls, ranges = [])
+        }
+        ranges.push(codePoints)
+      }
+    }
+  })
+
+  const out = {}
+  classMap.forEach((ranges, cls) => {
+    out[cls] = encodeRanges(ranges)
+  })
+
+  return out
+}
+
+/**
+ * Generate data file containing all bidi bracket pairs and canonical mappings. It is an object
+ * with keys "pairs" and "canonical", each holding a string value
+ *
+ * The string format is a comma-delimited string defining a set of pairs. Each pair contains two
+ * codepoints separated by ">"; these are the opening and closing brackets for pairs and the
+ * non-canonical and canonical characters for canonical. Every codepoint is stored as a
+ * base36-encoded relative offset from the previous codepoint.
+ */
+async function generateBracketsData() {
+  // Build Map of opening to closing bracket codepoints
+  let txt = await readUcdFile('BidiBrackets.txt')
+  let pairs = new Map()
+  let reversePairs = new Map()
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-Z0-9.]+)\s*;\s*([A-Z0-9.]+)\s*;\s*o/)
+    if (match) {
+      const opener = parseInt(match[1], 16)
+      const closer = parseInt(match[2], 16)
+      pairs.set(opener, closer)
+      reversePairs.set(closer, opener)
+    }
+  })
+
+  // Get canonical equivs for each closing bracket
+  txt = await readUcdFile('UnicodeData.txt')
+  const canonical = new Map()
+  txt.split('\n').forEach(line => {
+    if (!line || line.startsWith('#')) return
+    const fields = line.split(';')
+    const nonCanon = parseInt(fields[0], 16)
+    const canon = fields[5] && fields[5].replace(/^<[^>]+>\s*/, '')
+    if (canon && (pairs.has(nonCanon) || reversePairs.has(nonCanon))) {
+      canonical.set(
+        nonCanon,
+        parseInt(canon, 16)
+      )
+    }
+  })
+
+  // Encode to strings
+  const out = {
+    pairs: encodeCodePointsMap(pairs),
+    canonical: encodeCodePointsMap(canonical)
+  }
+
+  return out
+}
+
+async function generateMirroringData() {
+  // Build Map of opening to closing bracket codepoints
+  let txt = await readUcdFile('BidiMirroring.txt')
+  let pairs = new Map()
+  let reversePairs = new Map()
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-Z0-9.]+)\s*;\s*([A-Z0-9.]+)\s*/)
+    if (match) {
+      const a = parseInt(match[1], 16)
+      const b = parseInt(match[2], 16)
+      if (reversePairs.has(a) && reversePairs.get(a) !== b) {
+        console.warn(`mismatch: ${a} - ${b}`)
+      }
+      if (!reversePairs.has(a)) {
+        pairs.set(a, b)
+        reversePairs.set(b, a)
+      }
+    }
+  })
+
+  const out = encodeCodePointsMap(pairs)
+
+  return out
+}
+
+/**
+ * Generate data file containing the codepoints with the Bidi_Mirrored property, from UnicodeData.txt. This
+ * includes the characters with no mirroring counterpart in BidiMirroring.txt, whose glyphs must instead be
+ * flipped (rule L4). The format is a string using the same ranges encoding as the bidi character types data.
+ */
+async function generateBidiMirroredData() {
+  const txt = await readUcdFile('UnicodeData.txt')
+  const ranges = []
+  txt.split('\n').forEach(line => {
+    if (!line || line.startsWith('#')) return
+    const fields = line.split(';')
+    if (fields[9] === 'Y') {
+      const code = parseInt(fields[0], 16)
+      const lastRange = ranges[ranges.length - 1]
+      if (lastRange && (lastRange[1] || lastRange[0]) === code - 1) {
+        lastRange[1] = code
+      } else {
+        ranges.push([code])
+      }
+    }
+  })
+  return encodeRanges(ranges)
+}
+
+/**
+ * Generate data file containing the line breaking classes used by the UAX #14 line breaking algorithm.
+ *
+ * The format is an object with these keys, each using the same ranges encoding as the bidi character
+ * types data:
+ *   - "classes": object whose keys are line breaking classes and values are their codepoint ranges. Rule
+ *     LB1 is resolved up front: AI, SG, and XX are folded into the default "AL" class (which is omitted),
+ *     SA becomes CM for nonspacing/spacing marks and AL otherwise, and CJ becomes NS.
+ *   - "eastAsianWide": the codepoints in classes OP and CP with an East_Asian_Width of F, W, or H, which
+ *     are excluded from rule LB30.
+ *   - "unassignedPictographic": the unassigned Extended_Pictographic codepoints, used by rule LB30b.
+ */
+async function generateLineBreakData() {
+  let txt = await readUcdFile('LineBreak.txt')
+  const lineBreakClasses = new Map()
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-Z0-9.]+)\s*;\s*(\w+)/)
+    if (match) {
+      const [from, to] = match[1].split('..').map(c => parseInt(c, 16))
+      for (let code = from; code <= (to || from); code++) {
+        lineBreakClasses.set(code, match[2])
+      }
+    }
+  })
+
+  // General categories are needed to resolve SA, and to find unassigned codepoints
+  const generalCategories = await readGeneralCategories()
+
+  txt = await readUcdFile('EastAsianWidth.txt')
+  const eastAsianWide = []
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-Z0-9.]+)\s*;\s*(\w+)/)
+    if (match && /^[FWH]$/.test(match[2])) {
+      const [from, to] = match[1].split('..').map(c => parseInt(c, 16))
+      for (let code = from; code <= (to || from); code++) {
+        if (/^(OP|CP)$/.test(lineBreakClasses.get(code))) {
+          eastAsianWide.push([code])
+        }
+      }
+    }
+  })
+
+  const extendedPictographic = await readExtendedPictographic()
+  const unassignedPictographic = []
+  if (extendedPictographic) {
+    extendedPictographic.forEach(([from, to]) => {
+      for (let code = from; code <= (to || from); code++) {
+        if (!generalCategories.has(code)) {
+          unassignedPictographic.push([code])
+        }
+      }
+    })
+  }
+
+  // Resolve LB1 and group into ranges per class
+  const classMap = new Map()
+  lineBreakClasses.forEach((cls, code) => {
+    if (cls === 'SA') {
+      cls = /^M[nc]$/.test(generalCategories.get(code)) ? 'CM' : 'AL'
+    } else if (cls === 'CJ') {
+      cls = 'NS'
+    } else if (cls === 'AI' || cls === 'SG' || cls === 'XX') {
+      cls = 'AL'
+    }
+    if (cls !== 'AL') { // AL is the default so omit it
+      let ranges = classMap.get(cls)
+      if (!ranges) {
+        classMap.set(cls, ranges = [])
+      }
+      const lastRange = ranges[ranges.length - 1]
+      if (lastRange && (lastRange[1] || lastRange[0]) === code - 1) {
+        lastRange[1] = code
+      } else {
+        ranges.push([code])
+      }
+    }
+  })
+
+  const out = {
+    classes: {},
+    eastAsianWide: encodeRanges(eastAsianWide),
+    unassignedPictographic: extendedPictographic
+      ? encodeRanges(unassignedPictographic)
+      : readBundledData('lineBreakClasses.data.js').unassignedPictographic
+  }
+  classMap.forEach((ranges, cls) => {
+    out.classes[cls] = encodeRanges(ranges)
+  })
+
+  return out
+}
+
+/**
+ * Generate data file containing the cursive joining properties used for Arabic and similar scripts.
+ *
+ * The format is an object with these keys, each using the same ranges encoding as the bidi character
+ * types data:
+ *   - "types": object whose keys are Joining_Type values and values are their codepoint ranges. The default
+ *     "U" (non-joining) is omitted. Codepoints not listed in ArabicShaping.txt get the type it prescribes for
+ *     them: "T" (transparent) for general categories Mn, Me, and Cf, and "U" otherwise.
+ *   - "groups": object whose keys are Joining_Group values, with spaces replaced by underscores, and values
+ *     are their codepoint ranges. The default "No_Joining_Group" is omitted.
+ */
+async function generateJoiningData() {
+  const txt = await readUcdFile('ArabicShaping.txt')
+  const joiningTypes = new Map()
+  const groupMap = new Map()
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-F0-9]+)\s*;[^;]*;\s*([A-Z])\s*;\s*([^#]+?)\s*$/)
+    if (match) {
+      const code = parseInt(match[1], 16)
+      joiningTypes.set(code, match[2])
+      const group = match[3].replace(/ /g, '_')
+      if (group !== 'No_Joining_Group') {
+        let ranges = groupMap.get(group)
+        if (!ranges) {
+          groupMap.set(group, ranges = [])
+        }
+        ranges.push([code])
+      }
+    }
+  })
+
+  const generalCategories = await readGeneralCategories()
+  generalCategories.forEach((category, code) => {
+    if (!joiningTypes.has(code) && /^(Mn|Me|Cf)$/.test(category)) {
+      joiningTypes.set(code, 'T')
+    }
+  })
+
+  const typeMap = new Map()
+  ;[...joiningTypes.keys()].sort((a, b) => a - b).forEach(code => {
+    const type = joiningTypes.get(code)
+    if (type !== 'U') { // U is the default so omit it
+      let ranges = typeMap.get(type)
+      if (!ranges) {
+        typeMap.set(type, ranges = [])
+      }
+      const lastRange = ranges[ranges.length - 1]
+      if (lastRange && (lastRange[1] || lastRange[0]) === code - 1) {
+        lastRange[1] = code
+      } else {
+        ranges.push([code])
+      }
+    }
+  })
+
+  const out = {
+    types: {},
+    groups: {}
+  }
+  typeMap.forEach((ranges, type) => {
+    out.types[type] = encodeRanges(ranges)
+  })
+  groupMap.forEach((ranges, group) => {
+    out.groups[group] = encodeRanges(ranges)
+  })
+
+  return out
+}
+
+/**
+ * Generate data file containing the number of columns each codepoint takes up when displayed in a terminal.
+ *
+ * The format is an object with these keys, each using the same ranges encoding as the bidi character
+ * types data. Codepoints in none of them take up a single column.
+ *   - "zero": codepoints that take up no columns: general categories Mn, Me, Cf (except the soft hyphen),
+ *     and Cc, plus the Hangul Jamo medial vowels and final consonants that combine with a preceding syllable.
+ *   - "wide": codepoints that take up two columns, having an East_Asian_Width of W or F.
+ *   - "ambiguous": codepoints having an East_Asian_Width of A, which take up one or two columns depending
+ *     on the terminal's settings.
+ */
+async function generateDisplayWidthData() {
+  const generalCategories = await readGeneralCategories()
+  const widths = new Map()
+  generalCategories.forEach((category, code) => {
+    if (/^(Mn|Me|Cf|Cc)$/.test(category) && code !== 0xAD) {
+      widths.set(code, 'zero')
+    }
+  })
+  ;[[0x1160, 0x11FF], [0xD7B0, 0xD7FF]].forEach(([from, to]) => {
+    for (let code = from; code <= to; code++) {
+      widths.set(code, 'zero')
+    }
+  })
+
+  const txt = await readUcdFile('EastAsianWidth.txt')
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-F0-9.]+)\s*;\s*(\w+)/)
+    if (match && /^(W|F|A)$/.test(match[2])) {
+      const [from, to] = match[1].split('..').map(c => parseInt(c, 16))
+      for (let code = from; code <= (to || from); code++) {
+        if (!widths.has(code)) {
+          widths.set(code, match[2] === 'A' ? 'ambiguous' : 'wide')
+        }
+      }
+    }
+  })
+
+  const rangesMap = new Map()
+  ;[...widths.keys()].sort((a, b) => a - b).forEach(code => {
+    const width = widths.get(code)
+    let ranges = rangesMap.get(width)
+    if (!ranges) {
+      rangesMap.set(width, ranges = [])
+    }
+    const lastRange = ranges[ranges.length - 1]
+    if (lastRange && (lastRange[1] || lastRange[0]) === code - 1) {
+      lastRange[1] = code
+    } else {
+      ranges.push([code])
+    }
+  })
+
+  const out = {}
+  ;['zero', 'wide', 'ambiguous'].forEach(width => {
+    out[width] = encodeRanges(rangesMap.get(width))
+  })
+  return out
+}
+
+/**
+ * Generate data file containing the properties used to find extended grapheme cluster boundaries, per the
+ * Unicode Text Segmentation algorithm (UAX #29).
+ *
+ * The format is an object with these keys, each using the same ranges encoding as the bidi character
+ * types data:
+ *   - "classes": object whose keys are Grapheme_Cluster_Break values and values are their codepoint ranges.
+ *     The default "Other" is omitted, as are "LV" and "LVT", which alternate through the Hangul syllables
+ *     block and are computed from the codepoint instead.
+ *   - "extendedPictographic": the Extended_Pictographic codepoints, used by rule GB11.
+ */
+async function generateGraphemeBreakData() {
+  let txt = await readUcdFile('auxiliary/GraphemeBreakProperty.txt')
+  const classMap = new Map()
+  txt.split('\n').forEach(line => {
+    line = line.trim()
+    if (!line || line.startsWith('#')) return
+    const match = line.match(/^([A-F0-9.]+)\s*;\s*(\w+)/)
+    if (match && match[2] !== 'LV' && match[2] !== 'LVT') {
+      let ranges = classMap.get(match[2])
+      if (!ranges) {
+        classMap.set(match[2], ranges = [])
+      }
+      ranges.push(match[1].split('..').map(c => parseInt(c, 16)))
+    }
+  })
+
+  const extendedPictographic = await readExtendedPictographic()
+
+  const out = {
+    classes: {},
+    extendedPictographic: extendedPictographic
+      ? encodeRanges(extendedPictographic)
+      : readBundledData('graphemeBreak.data.js').extendedPictographic
+  }
+  classMap.forEach((ranges, cls) => {
+    out.classes[cls] = encodeRanges(ranges)
+  })
+  return out
+}
+
+/**
+ * Read the Extended_Pictographic codepoint ranges from emoji/emoji-data.txt, or return null if the UCD doesn't
+ * include that file, as is the case before Unicode 13.0.0.
+ * @return {Promise<Array<number[]>|null>}
+ */
+async function readExtendedPictographic() {
+  if (extendedPictographicRanges === undefined) {
+    const txt = await readUcdFile('emoji/emoji-data.txt', true)
+    if (txt) {
+      extendedPictographicRanges = []
+      txt.split('\n').forEach(line => {
+        line = line.trim()
+        if (!line || line.startsWith('#')) return
+        const match = line.match(/^([A-F0-9.]+)\s*;\s*Extended_Pictographic\b/)
+        if (match) {
+          extendedPictographicRanges.push(match[1].split('..').map(c => parseInt(c, 16)))
+        }
+      })
+    } else {
+      extendedPictographicRanges = null
+      console.warn(`No emoji/emoji-data.txt found, so using the Extended_Pictographic data of the bundled Unicode ${readBundledData('unicodeVersion.data.js')}`)
+    }
+  }
+  return extendedPictographicRanges
+}
+
+/**
+ * Read the general category of every assigned codepoint from UnicodeData.txt, expanding its First/Last ranges.
+ * @return {Promise<Map<number, string>>}
+ */
+async function readGeneralCategories() {
+  const txt = await readUcdFile('UnicodeData.txt')
+  const generalCategories = new Map()
+  let rangeStart = null
+  txt.split('\n').forEach(line => {
+    if (!line || line.startsWith('#')) return
+    const fields = line.split(';')
+    const code = parseInt(fields[0], 16)
+    if (fields[1].endsWith(', First>')) {
+      rangeStart = code
+    } else {
+      for (let c = fields[1].endsWith(', Last>') ? rangeStart : code; c <= code; c++) {
+        generalCategories.set(c, fields[2])
+      }
+    }
+  })
+  return generalCategories
+}
+
+/**
+ * Encode a list of [from, to] codepoint ranges (`to` being optional for single codepoints) into a
+ * comma-delimited string. Each range is either a single codepoint or start+end codepoints separated by
+ * "+", and every codepoint is stored as a base36-encoded relative offset from the previous codepoint.
+ */
+function encodeRanges(ranges = []) {
+  let lastCode = 0
+  ranges.sort((a, b) => a[0] - b[0])
+
+  // Map absolute ranges to relative skip/step increments
+  ranges = ranges.map(([from, to]) => {
+    const skip = from - lastCode
+    const step = to - from
+    lastCode = to || from
+    return [skip, step]
+  })
+
+  // Collapse ranges that were adjacent in the data
+  for (let i = 0; i < ranges.length - 1; i++) {
+    while (ranges[i + 1] && ranges[i + 1][0] === 1) {
+      ranges[i][1] = (ranges[i][1] || 0) + 1 + (ranges[i + 1][1] || 0)
+      ranges.splice(i + 1, 1)
+    }
+  }
+
+  // Stringify
+  return ranges.map(([skip, step]) => {
+    return `${skip.toString(radix)}${step ? '+' + step.toString(radix) : ''}`
+  }).join(',')
+}
+
+function encodeCodePointsMap(map) {
+  let lastCode = 0
+  let items = [...map.entries()].sort((a, b) => a[0] - b[0]).map(([a, b]) => {
+    const str = `${(a - lastCode).toString(radix)}>${(b - a).toString(radix)}`
+    lastCode = b
+    return str
+  })
+  // collapse repeated items into a "+n" entry
+  for (let i = 1; i < items.length; i++) {
+    if (items[i] === items[i - 1]) {
+      let reps = 1
+      for (let j = i + 1; j < items.length && (items[j] === items[i]); j++) {
+        reps++
+      }
+      items.splice(i, reps, `+${reps}`)
+    }
+  }
+  return items.join(',')
+}
+
+async function main() {
+  const data = {
+    bidiCharTypes: await generateBidiCharTypesData(),
+    bidiBrackets: await generateBracketsData(),
+    bidiMirroring: await generateMirroringData(),
+    bidiMirrored: await generateBidiMirroredData(),
+    lineBreakClasses: await generateLineBreakData(),
+    arabicJoining: await generateJoiningData(),
+    displayWidths: await generateDisplayWidthData(),
+    graphemeBreak: await generateGraphemeBreakData()
+  }
+  const version = checkVersions()
+
+  if (args.out) {
+    const fileContent = JSON.stringify({ version, ...data })
+    writeFileSync(args.out, fileContent)
+    console.log(`Wrote Unicode ${version} data set to ${args.out}, size ${fileContent.length}`)
+  } else {
+    const files = {
+      unicodeVersion: ['unicodeVersion.data.js', 'Unicode version of the bundled data'],
+      bidiCharTypes: ['bidiCharTypes.data.js', 'Bidi character types data'],
+      bidiBrackets: ['bidiBrackets.data.js', 'Bidi bracket pairs data'],
+      bidiMirroring: ['bidiMirroring.data.js', 'Bidi mirrored chars data'],
+      bidiMirrored: ['bidiMirrored.data.js', 'Bidi mirrored property data'],
+      lineBreakClasses: ['lineBreakClasses.data.js', 'Line breaking classes data'],
+      arabicJoining: ['arabicJoining.data.js', 'Arabic joining types and groups data'],
+      displayWidths: ['displayWidths.data.js', 'Terminal display widths data'],
+      graphemeBreak: ['graphemeBreak.data.js', 'Grapheme cluster break properties data']
+    }
+    data.unicodeVersion = version
+    for (const key in files) {
+      const [fileName, description] = files[key]
+      const fileContent = `// ${description}, auto generated
+export default ${JSON.stringify(data[key], null, 2)}
+`
+      const filePath = new URL(`../src/data/${fileName}`, import.meta.url)
+      writeFileSync(filePath, fileContent)
+
+      console.log(`Wrote file ${filePath}, size ${fileContent.length}`)
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(err.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,79 @@
+import { determineAutoEmbedLevel, matchExplicitFormatting } from './embeddingLevels.js'
+import { getBidiCharTypeAt, ISOLATE_INIT_TYPES, TYPES } from './charTypes.js'
+
+const PDF = '\u202C'
+const PDI = '\u2069'
+
+/**
+ * Make a string safe to concatenate with other text, by appending the PDF and PDI characters needed to
+ * terminate any embeddings, overrides, and isolates it leaves open at its end. The explicit formatting
+ * characters are matched up just as in rules X1-X8 of getEmbeddingLevels, including the handling of
+ * overflows past the maximum depth, so exactly the needed terminators are added.
+ *
+ * @param {string} string
+ * @param {object} [options]
+ * @param {BidiOptions['charTypeOverrides']} [options.charTypeOverrides]
+ * @param {boolean} [options.removeUnmatched] - also remove any PDF or PDI characters that don't terminate anything
+ *        within the string, as they could otherwise terminate an embedding or isolate in the surrounding text
+ * @return {string}
+ */
+export function balanceBidiFormatting (string, options) {
+  const removeUnmatched = options && options.removeUnmatched
+  const charTypeOverrides = options && options.charTypeOverrides
+  const strLen = string.length
+  const charTypes = new Uint32Array(strLen)
+  for (let i = 0; i < strLen; i++) {
+    charTypes[i] = getBidiCharTypeAt(string, i, charTypeOverrides)
+  }
+
+  // Match up the formatting characters of each paragraph. Whatever is left open needs terminating only in the
+  // last one, and only if it isn't ended by a paragraph separator (X8).
+  const unmatched = []
+  let openers = []
+  let paragraphStart = 0
+  for (let i = 0; i < strLen; i++) {
+    if ((charTypes[i] & TYPES.B) || i === strLen - 1) {
+      const paragraphOpeners = []
+      matchExplicitFormatting(
+        charTypes, strLen, paragraphStart, i, determineAutoEmbedLevel(charTypes, strLen, paragraphStart, false),
+        (opener, terminator) => {
+          if (terminator === -1) {
+            paragraphOpeners.push(opener)
+          }
+        },
+        index => {
+          unmatched.push(index)
+        }
+      )
+      openers = (charTypes[i] & TYPES.B) ? [] : paragraphOpeners
+      paragraphStart = i + 1
+    }
+  }
+
+  let result = ''
+  let keptFrom = 0
+  if (removeUnmatched) {
+    unmatched.forEach(index => {
+      result += string.slice(keptFrom, index)
+      keptFrom = index + 1
+    })
+  }
+  result += string.slice(keptFrom)
+
+  // Terminate whatever is left open, innermost first. A PDI terminates any embeddings within its isolate, so PDFs
+  // are only needed for the embeddings outside of all isolates.
+  let outermostIsolate = -1
+  openers.forEach((opener, j) => {
+    if (charTypes[opener] & ISOLATE_INIT_TYPES) {
+      outermostIsolate = j
+    }
+  })
+  openers.forEach((opener, j) => {
+    if (charTypes[opener] & ISOLATE_INIT_TYPES) {
+      result += PDI
+    } else if (j > outermostIsolate) {
+      result += PDF
+    }
+  })
+  return result
+}
@@ -0,0 +1,114 @@
+import { getFirstStrongLevel, getLastStrongLevel } from './embeddingLevels.js'
+import { getBidiCharTypeAt, ISOLATE_INIT_TYPES, TYPES } from './charTypes.js'
+
+const LEVELS_TO_DIRECTIONS = { '-1': 'neutral', 0: 'ltr', 1: 'rtl' }
+const WORD_SEPARATOR_TYPES = TYPES.WS | TYPES.S | TYPES.B
+const NUMBER_TYPES = TYPES.EN | TYPES.AN
+const URL_REGEX = /^(?:[a-z][a-z0-9+.-]*:\/\/|www\.)/i
+
+/**
+ * Estimate the direction of a string, e.g. for choosing the base direction to display it in, or the direction
+ * of an element to hold it, without running the full bidi algorithm.
+ *
+ * @param {string} string
+ * @param {object} [options]
+ * @param {"first-strong"|"last-strong"|"word-count"} [options.mode="first-strong"] - how to estimate it:
+ *        - "first-strong": the direction of the first strong character, skipping over isolates, as in rules
+ *          P2-P3. If the first paragraph has no strong characters, the following ones are checked in turn.
+ *        - "last-strong": the direction of the last strong character, skipping over isolates, checking
+ *          paragraphs from the last one back.
+ *        - "word-count": "rtl" if the fraction of words starting with a right-to-left character exceeds
+ *          `rtlThreshold`, otherwise "ltr", similar to Closure's `estimateDirection`. Words are separated by
+ *          whitespace, and the contents of isolates are skipped.
+ * @param {number} [options.rtlThreshold=0.4] - for "word-count" mode, the fraction of words that must be
+ *        right-to-left for the string to be considered right-to-left
+ * @param {boolean} [options.neutralUrlsAndNumbers] - for "word-count" mode, don't count words that are URLs or
+ *        numbers, which would otherwise be counted as left-to-right words
+ * @param {BidiOptions['charTypeOverrides']} [options.charTypeOverrides]
+ * @return {"ltr"|"rtl"|"neutral"} - "neutral" if there are no strong characters (or in "word-count" mode, no
+ *         counted words)
+ */
+export function getBaseDirection (string, options) {
+  const mode = (options && options.mode) || 'first-strong'
+  const charTypeOverrides = options && options.charTypeOverrides
+  const strLen = string.length
+  const charTypes = new Uint32Array(strLen)
+  const paragraphStarts = [0]
+  for (let i = 0; i < strLen; i++) {
+    charTypes[i] = getBidiCharTypeAt(string, i, charTypeOverrides)
+    if ((charTypes[i] & TYPES.B) && i + 1 < strLen) {
+      paragraphStarts.push(i + 1)
+    }
+  }
+
+  if (mode === 'word-count') {
+    return estimateDirectionByWords(string, charTypes, options)
+  }
+  if (mode !== 'first-strong' && mode !== 'last-strong') {
+    throw new Error(`Unknown direction estimation mode: ${mode}`)
+  }
+  let level = -1
+  for (let p = 0; p < paragraphStarts.length && level === -1; p++) {
+    level = mode === 'first-strong'
+      ? getFirstStrongLevel(charTypes, strLen, paragraphStarts[p], false)
+      : getLastStrongLevel(charTypes, strLen, paragraphStarts[paragraphStarts.length - 1 - p])
+  }
+  return LEVELS_TO_DIRECTIONS[level]
+}
+
+function estimateDirectionByWords (string, charTypes, options) {
+  const rtlThreshold = options && options.rtlThreshold != null ? +options.rtlThreshold : 0.4
+  const neutralUrlsAndNumbers = options && options.neutralUrlsAndNumbers
+  let rtlWordCount = 0
+  let totalWordCount = 0
+  let isolateDepth = 0
+  let wordStart = -1
+  let wordType = 0 // type of the word's first strong character, or NUMBER_TYPES if it has only numbers
+
+  for (let i = 0; i <= string.length; i++) {
+    const charType = i < string.length ? charTypes[i] : TYPES.B
+
+    if (isolateDepth) {
+      if (charType & ISOLATE_INIT_TYPES) {
+        isolateDepth++
+      } else if (charType & TYPES.PDI) {
+        isolateDepth--
+      } else if (charType & TYPES.B) {
+        isolateDepth = 0
+      }
+      if (isolateDepth) {
+        continue
+      }
+    }
+
+    if (charType & (WORD_SEPARATOR_TYPES | ISOLATE_INIT_TYPES)) {
+      // End of a word
+      if (wordStart !== -1 && wordType) {
+        if (wordType & (TYPES.R | TYPES.AL)) {
+          rtlWordCount++
+          totalWordCount++
+        } else if (!neutralUrlsAndNumbers || !(wordType === NUMBER_TYPES || URL_REGEX.test(string.slice(wordStart, i)))) {
+          totalWordCount++
+        }
+      }
+      wordStart = -1
+      wordType = 0
+      if (charType & ISOLATE_INIT_TYPES) {
+        isolateDepth = 1
+      }
+    } else {
+      if (wordStart === -1) {
+        wordStart = i
+      }
+      if (charType & (TYPES.L | TYPES.R | TYPES.AL)) {
+        if (!wordType || wordType === NUMBER_TYPES) {
+          wordType = charType
+        }
+      } else if ((charType & NUMBER_TYPES) && !wordType) {
+        wordType = NUMBER_TYPES
+      }
+    }
+  }
+
+  return totalWordCount === 0 ? 'neutral' : rtlWordCount / totalWordCount > rtlThreshold ? 'rtl' : 'ltr'
+}
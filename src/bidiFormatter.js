@@ -0,0 +1,118 @@
+import { getBaseDirection } from './baseDirection.js'
+import { balanceBidiFormatting } from './balancing.js'
+
+const LRM = '\u200E'
+const RLM = '\u200F'
+const LRE = '\u202A'
+const RLE = '\u202B'
+const PDF = '\u202C'
+const LRI = '\u2066'
+const RLI = '\u2067'
+const FSI = '\u2068'
+const PDI = '\u2069'
+
+/**
+ * @typedef {object} BidiFormatter
+ * @property {"ltr"|"rtl"} contextDirection - the direction of the text that strings are inserted into
+ * @property {function(string): ("ltr"|"rtl"|"neutral")} getDirection - estimates the direction of a string
+ *           from its first strong character, as `getBaseDirection` does by default
+ * @property {function(string, BidiFormatterWrapOptions=): string} unicodeWrap - wraps a string in formatting
+ *           characters so that it and the text around it don't affect each other's display
+ * @property {function(string, BidiFormatterOptions=): string} markBefore - returns a LRM or RLM to insert before
+ *           the string if its direction could affect the context text before it, otherwise an empty string
+ * @property {function(string, BidiFormatterOptions=): string} markAfter - returns a LRM or RLM to insert after
+ *           the string if its direction could affect the context text after it, otherwise an empty string
+ * @property {function(string, BidiFormatterOptions=): string} dirAttr - returns a `dir="ltr"` or `dir="rtl"`
+ *           HTML attribute for an element holding the string if its direction differs from the context's,
+ *           otherwise an empty string
+ */
+
+/**
+ * @typedef {object} BidiFormatterOptions
+ * @property {"ltr"|"rtl"|"auto"} [direction="auto"] - the direction of the string if it's known, instead of
+ *           estimating it from its content
+ */
+
+/**
+ * @typedef {BidiFormatterOptions} BidiFormatterWrapOptions
+ * @property {boolean} [isolate=true] - wrap with FSI/LRI/RLI...PDI isolates. If false, uses LRE/RLE...PDF
+ *           embeddings and LRM/RLM marks instead, for renderers that don't support isolates.
+ */
+
+/**
+ * Create a formatter for safely inserting strings of unknown direction, such as user-supplied names, into text
+ * of a known direction, like ICU's and Closure's BidiFormatter. Without this, e.g. a right-to-left name followed
+ * by a number in a left-to-right message would be displayed with the number to its left.
+ *
+ * @param {"ltr"|"rtl"} [contextDirection="ltr"]
+ * @param {object} [options]
+ * @param {BidiOptions['charTypeOverrides']} [options.charTypeOverrides]
+ * @return {BidiFormatter}
+ */
+export function createBidiFormatter (contextDirection, options) {
+  contextDirection = contextDirection === 'rtl' ? 'rtl' : 'ltr'
+  const charTypeOverrides = options && options.charTypeOverrides
+
+  function getDirections (string) {
+    return {
+      _entry: getBaseDirection(string, { charTypeOverrides }),
+      _exit: getBaseDirection(string, { mode: 'last-strong', charTypeOverrides })
+    }
+  }
+
+  function getDirection (string) {
+    return getBaseDirection(string, { charTypeOverrides })
+  }
+
+  function getMark (string, options, isAfter) {
+    const directions = getDirections(string)
+    const direction = getKnownDirection(options) || directions._entry
+    const edgeDirection = isAfter ? directions._exit : directions._entry
+    const otherDirection = contextDirection === 'ltr' ? 'rtl' : 'ltr'
+    if (direction === otherDirection || edgeDirection === otherDirection) {
+      return contextDirection === 'ltr' ? LRM : RLM
+    }
+    return ''
+  }
+
+  function markBefore (string, options) {
+    return getMark(string, options, false)
+  }
+
+  function markAfter (string, options) {
+    return getMark(string, options, true)
+  }
+
+  function unicodeWrap (string, options) {
+    const direction = getKnownDirection(options)
+    // Formatting characters the string leaves open, or stray terminators, would leak out of the wrapper
+    const balanced = balanceBidiFormatting(string, { removeUnmatched: true, charTypeOverrides })
+    if (!options || options.isolate !== false) {
+      return (direction === 'rtl' ? RLI : direction === 'ltr' ? LRI : FSI) + balanced + PDI
+    }
+    const embedDirection = direction || getDirection(string)
+    const embedded = embedDirection !== 'neutral' && embedDirection !== contextDirection
+      ? (embedDirection === 'rtl' ? RLE : LRE) + balanced + PDF
+      : balanced
+    return markBefore(string, options) + embedded + markAfter(string, options)
+  }
+
+  function dirAttr (string, options) {
+    const direction = getKnownDirection(options) || getDirection(string)
+    return direction !== 'neutral' && direction !== contextDirection ? `dir="${direction}"` : ''
+  }
+
+  return {
+    contextDirection,
+    getDirection,
+    unicodeWrap,
+    markBefore,
+    markAfter,
+    dirAttr
+  }
+}
+
+function getKnownDirection (options) {
+  const direction = options && options.direction
+  return direction === 'ltr' || direction === 'rtl' ? direction : null
+}
@@ -1,11 +1,13 @@
-import data from './data/bidiBrackets.data.js'
 import { parseCharacterMap } from './util/parseCharacterMap.js'
+import { getUnicodeData } from './unicodeData.js'
 
-let openToClose, closeToOpen, canonical
+let openToClose, closeToOpen, canonical, parsedData
 
 function parse () {
-  if (!openToClose) {
+  const data = getUnicodeData().bidiBrackets
+  if (data !== parsedData) {
     //const start = performance.now()
+    parsedData = data
     let { map, reverseMap } = parseCharacterMap(data.pairs, true)
     openToClose = map
     closeToOpen = reverseMap
@@ -16,15 +18,15 @@ function parse () {
 
 export function openingToClosingBracket (char) {
   parse()
-  return openToClose.get(char) || null
+  return openToClose(char)
 }
 
 export function closingToOpeningBracket (char) {
   parse()
-  return closeToOpen.get(char) || null
+  return closeToOpen(char)
 }
 
 export function getCanonicalBracket (char) {
   parse()
-  return canonical.get(char) || null
+  return canonical(char)
 }
@@ -0,0 +1,158 @@
+import { getLineLevels, getVisualIndices } from './reordering.js'
+import { getBidiCharTypeAt, TYPES } from './charTypes.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+
+const WORD_SEPARATOR_TYPES = TYPES.WS | TYPES.S | TYPES.B
+
+/**
+ * @typedef {object} Caret
+ * @property {number} offset - the logical position of the caret, as an index between characters (0 being before
+ *           the first character, `string.length` after the last)
+ * @property {"forward"|"backward"} [affinity] - which character the caret is attached to when the same offset
+ *           is displayed in two places, as happens at a boundary between directions: "forward" (the default)
+ *           attaches it to the character following the offset, "backward" to the character preceding it.
+ */
+
+/**
+ * Get the visual position of a caret within a line. Visual positions are in the same index space as the
+ * array returned by getReorderedIndices, with the caret sitting just before the character at that position.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {Caret} caret
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {number} - from `start` at the left edge of the line, to `end + 1` at its right edge
+ */
+export function getCaretVisualIndex (string, embeddingLevelsResult, caret, start, end, options) {
+  const line = getVisualLine(string, embeddingLevelsResult, start, end, options)
+  return caretToVisualIndex(line, caret)
+}
+
+/**
+ * Move a caret one character to the left or right, visually, within a line. When the new visual position
+ * falls at a boundary between directions, the caret will be attached to the character it moved across.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {Caret} caret
+ * @param {"left"|"right"} direction
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {Caret|null} - the moved caret, or `null` if it's already at that edge of the line
+ */
+export function moveCaretVisually (string, embeddingLevelsResult, caret, direction, start, end, options) {
+  const line = getVisualLine(string, embeddingLevelsResult, start, end, options)
+  const toRight = direction === 'right'
+  const visualIndex = stepVisualIndex(line, caretToVisualIndex(line, caret), toRight)
+  return visualIndex === -1 ? null : visualIndexToCaret(line, visualIndex, toRight)
+}
+
+/**
+ * Move a caret to the left or right, visually, by a word within a line. It will pass over any whitespace in that
+ * direction and then the whole word that follows it, so it lands on that word's far edge.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {Caret} caret
+ * @param {"left"|"right"} direction
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {Caret|null} - the moved caret, or `null` if it's already at that edge of the line
+ */
+export function moveCaretByWordVisually (string, embeddingLevelsResult, caret, direction, start, end, options) {
+  const line = getVisualLine(string, embeddingLevelsResult, start, end, options)
+  const toRight = direction === 'right'
+  const isSeparator = visualIndex => getBidiCharTypeAt(string, line._indices[toRight ? visualIndex : visualIndex - 1], options && options.charTypeOverrides) & WORD_SEPARATOR_TYPES
+  let visualIndex = caretToVisualIndex(line, caret)
+  let next = stepVisualIndex(line, visualIndex, toRight)
+  if (next === -1) {
+    return null
+  }
+  while (next !== -1 && isSeparator(visualIndex)) {
+    visualIndex = next
+    next = stepVisualIndex(line, visualIndex, toRight)
+  }
+  while (next !== -1 && !isSeparator(visualIndex)) {
+    visualIndex = next
+    next = stepVisualIndex(line, visualIndex, toRight)
+  }
+  return visualIndexToCaret(line, visualIndex, toRight)
+}
+
+/**
+ * Gather what's needed to map between logical and visual positions in a line: its reordered indices, the
+ * visual position of each character, and each character's resolved direction.
+ */
+function getVisualLine (string, embeddingLevelsResult, start, end, options) {
+  let strLen = string.length
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+
+  const levels = getLineLevels(string, embeddingLevelsResult, start, end, options)
+  const indices = getVisualIndices(string, embeddingLevelsResult, start, end, options)
+  const visualIndices = new Int32Array(Math.max(0, end - start + 1))
+  for (let i = start; i <= end; i++) {
+    visualIndices[indices[i] - start] = i
+  }
+  return {
+    _string: string,
+    _start: start,
+    _end: end,
+    _indices: indices,
+    _visualIndices: visualIndices,
+    _isRTL: charIndex => levels[charIndex - start] & 1
+  }
+}
+
+/**
+ * Step from a visual caret position over the adjacent character to the left or right, keeping surrogate
+ * pairs together. Returns -1 if there is no character in that direction.
+ */
+function stepVisualIndex (line, visualIndex, toRight) {
+  const { _string: string, _start: start, _end: end, _indices: indices } = line
+  if (toRight) {
+    return visualIndex > end ? -1 : visualIndex + charLength(string, indices[visualIndex])
+  }
+  return visualIndex <= start ? -1 : visualIndex - (isTrailingSurrogate(string, indices[visualIndex - 1]) ? 2 : 1)
+}
+
+function caretToVisualIndex (line, caret) {
+  const { _string: string, _start: start, _end: end, _visualIndices: visualIndices, _isRTL: isRTL } = line
+  if (end < start) {
+    return start
+  }
+  const offset = Math.min(Math.max(start, caret.offset), end + 1)
+  let charIndex
+  // Attached to the trailing edge of the preceding char
+  if (offset > end || (offset > start && caret.affinity === 'backward')) {
+    charIndex = isTrailingSurrogate(string, offset - 1) ? offset - 2 : offset - 1
+    return visualIndices[charIndex - start] + (isRTL(charIndex) ? 0 : charLength(string, charIndex))
+  }
+  // Attached to the leading edge of the following char
+  charIndex = isTrailingSurrogate(string, offset) ? offset - 1 : offset
+  return visualIndices[charIndex - start] + (isRTL(charIndex) ? charLength(string, charIndex) : 0)
+}
+
+function visualIndexToCaret (line, visualIndex, preferLeft) {
+  const { _string: string, _start: start, _end: end, _indices: indices, _isRTL: isRTL } = line
+  const leftChar = visualIndex > start ? indices[visualIndex - 1] - (isTrailingSurrogate(string, indices[visualIndex - 1]) ? 1 : 0) : null
+  const rightChar = visualIndex <= end ? indices[visualIndex] : null
+  if (leftChar !== null && (preferLeft || rightChar === null)) {
+    // Right edge of the char to the left
+    return isRTL(leftChar)
+      ? { offset: leftChar, affinity: 'forward' }
+      : { offset: leftChar + charLength(string, leftChar), affinity: 'backward' }
+  }
+  if (rightChar !== null) {
+    // Left edge of the char to the right
+    return isRTL(rightChar)
+      ? { offset: rightChar + charLength(string, rightChar), affinity: 'backward' }
+      : { offset: rightChar, affinity: 'forward' }
+  }
+  return { offset: start, affinity: 'forward' }
+}
+
+function charLength (string, charIndex) {
+  return isTrailingSurrogate(string, charIndex + 1) ? 2 : 1
+}
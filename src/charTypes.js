@@ -1,4 +1,7 @@
 import DATA from './data/bidiCharTypes.data.js'
+import { codePointCoveringIndex } from './util/surrogates.js'
+import { getUnicodeData } from './unicodeData.js'
+import { createRangeLookup } from './util/rangeLookup.js'
 
 const TYPES = {}
 const TYPES_TO_NAMES = {}
@@ -16,58 +19,74 @@ const NEUTRAL_ISOLATE_TYPES = TYPES.B | TYPES.S | TYPES.WS | TYPES.ON | TYPES.FS
 const BN_LIKE_TYPES = TYPES.BN | TYPES.RLE | TYPES.LRE | TYPES.RLO | TYPES.LRO | TYPES.PDF
 const TRAILING_TYPES = TYPES.S | TYPES.WS | TYPES.B | ISOLATE_INIT_TYPES | TYPES.PDI | BN_LIKE_TYPES
 
-let map = null
+let lookup = null
+let parsedData = null
 
-function parseData () {
-  if (!map) {
-    //const start = performance.now()
-    map = new Map()
-    let start = 0;
-    for (const type in DATA) {
-      if (DATA.hasOwnProperty(type)) {
-        const segments = DATA[type];
-        let temp = '';
-        let end;
-        let state = false;
-        let lastCode = 0;
-        for (let i = 0; i <= segments.length + 1; i += 1) {
-          const char = segments[i];
-          if (char !== ',' && i !== segments.length) {
-            if (char === '+') {
-              state = true;
-              lastCode = start = lastCode + parseInt(temp, 36);
-              temp = '';
-            } else {
-              temp += char;
-            }
-          } else {
-            if (!state) {
-              lastCode = start = lastCode + parseInt(temp, 36);
-              end = start;
-            } else {
-              end = start + parseInt(temp, 36);
-            }
-            state = false;
-            temp = '';
-            lastCode = end;
-            for (let j = start; j < end + 1; j += 1) {
-              map.set(j, TYPES[type]);
-            }
-          }
-        }
-      }
-    }
-    //console.log(`char types parsed in ${performance.now() - start}ms`)
+/**
+ * Get the function for looking up a code point's type, rebuilding it if the Unicode data set has changed. It
+ * searches a sorted table of the encoded ranges, rather than expanding them into an entry per code point.
+ * @return {function(number): number}
+ */
+function getLookup () {
+  const data = getUnicodeData().bidiCharTypes
+  if (data !== parsedData) {
+    parsedData = data
+    lookup = createRangeLookup(data, type => TYPES[type], TYPES.L)
   }
+  return lookup
 }
 
+/**
+ * @typedef {object} BidiOptions
+ * @property {Map<number, string>|function(number): (string|null|undefined)} [charTypeOverrides] - Reclassifies
+ *           specific code points, as allowed by higher-level protocol HL3. Either a Map or a function that maps
+ *           a numeric code point to the name of the bidi character type to use for it, e.g. "ON" or "R". Any code
+ *           point it gives no valid type name for keeps its type from the Unicode data.
+ * @property {Uint8Array} [levels] - For getEmbeddingLevels only: an array to write the resolved levels into,
+ *           instead of allocating a new one. It must be at least as long as the string, and is returned as the
+ *           result's `levels`; any entries past the end of the string are left untouched.
+ * @property {number[][]} [ignoreRanges] - Inclusive [start, end] index ranges of the string to ignore, such as
+ *           markup. Their characters are treated like boundary neutrals (BN), so they don't affect the
+ *           resolution of the text around them, but they still receive levels and keep their indices.
+ * @property {"html"} [markup] - Find ranges to ignore automatically: "html" ignores the tags, comments, and
+ *           character references of HTML or XML.
+ * @property {boolean} [trace] - For getEmbeddingLevels only: also return a `trace` of which rule changed each
+ *           character's type or level, and the isolating run sequences, for debugging. See BidiTrace.
+ */
+
 /**
  * @param {string} char
  * @return {number}
  */
 function getBidiCharType (char) {
-  parseData()
-  return map.get(char.codePointAt(0)) || TYPES.L
+  return getBidiCharTypeForCodePoint(char.codePointAt(0))
+}
+
+/**
+ * @param {number} codePoint
+ * @param {BidiOptions['charTypeOverrides']} [overrides]
+ * @return {number}
+ */
+function getBidiCharTypeForCodePoint (codePoint, overrides) {
+  if (overrides) {
+    const name = typeof overrides === 'function' ? overrides(codePoint) : overrides.get(codePoint)
+    if (name && TYPES.hasOwnProperty(name)) {
+      return TYPES[name]
+    }
+  }
+  return getLookup()(codePoint)
+}
+
+/**
+ * Get the bidi type of the character at a UTF-16 index within a string. Supplementary characters are
+ * classified by their full code point, so both halves of a surrogate pair always report the same type.
+ * @param {string} string
+ * @param {number} index
+ * @param {BidiOptions['charTypeOverrides']} [overrides]
+ * @return {number}
+ */
+function getBidiCharTypeAt (string, index, overrides) {
+  return getBidiCharTypeForCodePoint(codePointCoveringIndex(string, index), overrides)
 }
 
 function getBidiCharTypeName(char) {
@@ -76,6 +95,8 @@ function getBidiCharTypeName(char) {
 
 export {
   getBidiCharType,
+  getBidiCharTypeAt,
+  getBidiCharTypeForCodePoint,
   getBidiCharTypeName,
   TYPES,
   TYPES_TO_NAMES,
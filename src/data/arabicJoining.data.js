@@ -0,0 +1,113 @@
+// Arabic joining types and groups data, auto generated
+export default {
+  "types": {
+    "T": "4t,gj+33,7o+6,7c+18,2,2+1,2+1,2,21+a,2,1b+k,h,2u+6,3+5,3+1,2+3,y,2,v+q,2k+a,1n+8,a,p+3,2+8,2+2,2+4,18+2,3c+e,2+v,1k,2,5+7,5,4+6,b+1,u,1n,5+3,9,l+1,r,3+1,1m,5+1,5+1,3+2,4,v+1,4,c+1,1m,5+4,2+1,5,l+1,n+5,2,1n,3,2+3,9,8+1,c+1,v,1q,d,1f,4,1m+2,6+2,2+3,8+1,c+1,u,1n,3,7,6+1,l+1,t+1,1m+1,5+3,9,l+1,u,21,8+2,2,2j,3+6,d+7,2r,3+8,c+5,23+1,s,2,2,1k+d,2+4,2+1,6+a,2+z,a,2v+3,2+5,2+1,3+1,q+1,5+2,h+3,e,3+1,7,g,jk+2,qb+2,u+2,u+1,v+1,1t+1,2+6,9,3+a,a,1a+2,3c+1,z,3b+2,5+1,a,7+2,64+1,3,1n,2+6,2,2,3+7,7+9,3,1d+g,1s+3,1d,2+4,2,6,15+8,d+1,x+3,3+1,2+2,1l,2+1,4,2+2,1n+7,3+1,49+2,2+c,2+6,5,7,4+1,5j+1l,2+4,ek,3+1,r+4,1e+4,6+5,2p+w,2db+2,3y,2p+v,ff+3,30+1,n9x+3,2+9,x+1,29+1,7l,4,5,q+1,6,48+1,r+h,e,13+7,q+a,1b+2,1d,3+3,3+1,14,1w+5,3+1,3+1,d,9,1c,1g,2+2,3+1,6+1,2,17+1,9,6n,3,5,fn5,ki+f,h+f,5s,6y+2,ea,6b,46+4,1af+2,2+1,6+3,15+2,5,4m+1,fy+3,as+1,4a+a,4x,1j+e,1l+2,1e+3,3+1,1y+2,11+4,2+7,1r,d+1,1h+8,b+3,3,2o+2,3,2+1,7,4h,4+7,m+1,1m+1,4,12+6,4+4,5g+7,3+2,2,o,2d+5,2,5+1,2+1,6n+3,7+1,2+1,s+1,2e+7,3,2+1,2z,2,3+5,2,2u+2,3+3,2+4,78+8,2+1,75+1,2,5,41+3,3+1,5,x+9,15+5,3+3,9,a+5,3+2,1b+c,2+1,bb+6,2+5,2,2b+l,3+6,2+1,2+1,3f+5,4,2+1,2+6,2,21+1,4,2,9o+1,470+8,at4+4,1o+6,t5,1s+3,2a,f5l+1,2+3,43o+2,a+f,3+6,v+3,45+2,1j0+1i,5+1d,9,f,n+4,2+e,11t+6,2+g,3+6,2+1,2+4,7a+6,c6+3,15t+6,32+7,gzau,v+2n,3l+6n",
+    "D": "17k,6,2,2+4,5+c,2+6,2+1,10+1,9+f,j+11,2+1,a,2,2+1,15+2,3,j+2,6+3,2+8,2,2,2+1,w+a,4+e,3+3,2,3+2,3+5,23+w,2f+4,3,2+9,2,b,2+3,3,1k+9,6+1,3+1,2+2,2+d,30g,p+2g,f+x,2,sd2+1d,jf3+4,f+3,2+4,2+2,b+3,42,2,4+2,2+1,2,3,t+1,9f+w,2,el+2,2+g,d+2,2l,2+1,5,3+1,2+1,2,3,6,16wm+1v",
+    "R": "17m+3,2,2,6+3,m,15+2,2+2,h+h,13,3+8,2,2,3+1,2,p+1,x,5+4,5,a,2,2,3,u,c+2,g+1,5,2+1,4+1,5j,6+1,2,b,2+2,f,2+1,1s+2,2,3+1,7,1ez0,2,2+1,4+4,b,4,3,b,42,2+2,4,3,2+1,2,o+3,ae,ep,x,2o+2,3+1,3,5+1,6",
+    "C": "18g,ca,368,1kz",
+    "L": "x9u,jff,a,fd,jv"
+  },
+  "groups": {
+    "YEH": "17k,6,z+1,1a,2g+1,4m,8h+1,h",
+    "ALEF": "17m+1,2,2,22+2,2,72+1",
+    "WAW": "17o,10,1a+1,25+7,4,4p+1,8i",
+    "BEH": "17s,2+1,1v,b+7,5s+6,96+1,l+2,6+2",
+    "TEH_MARBUTA": "17t,47,l",
+    "HAH": "17w+2,2b+6,1k,48+1,m+1,3,a,86,v,4+1",
+    "DAL": "17z+1,2g+8,2m,2z+1,9g",
+    "REH": "181+1,2n+8,2e,30,g+1,5,8p,8,7",
+    "SEEN": "183+1,2u+2,2m,2q,h,3,d+1",
+    "SAD": "185+1,2v+1,2l,c4",
+    "TAH": "187+1,2v,ec",
+    "AIN": "189+1,2u,2k,2p+2,9g,g",
+    "GAF": "18b+1,31,2,4+5,4u+2,98,i",
+    "FARSI_YEH": "18d+2,3x,2,4n+1",
+    "FEH": "18h,2o+5,56+1,8z",
+    "QAF": "18i,19,1k+1,e5",
+    "KAF": "18j,2x+2,5t,8l",
+    "LAM": "18k,35+3,4y,8s,x",
+    "MEEM": "18l,80+1,8x",
+    "NOON": "18m,37+3,4r+2",
+    "HEH": "18n",
+    "SWASH_KAF": "1be",
+    "NYA": "1bx",
+    "KNOTTED_HEH": "1by,1t",
+    "HEH_GOAL": "1c1+1",
+    "TEH_MARBUTA_GOAL": "1c3",
+    "YEH_WITH_TAIL": "1cd",
+    "YEH_BARREE": "1ci+1",
+    "ALAPH": "1e8",
+    "BETH": "1ea,r",
+    "GAMAL": "1eb+1,q",
+    "DALATH_RISH": "1ed+1,k,5",
+    "HE": "1ef",
+    "SYRIAC_WAW": "1eg",
+    "ZAIN": "1eh",
+    "HETH": "1ei",
+    "TETH": "1ej+1",
+    "YUDH": "1el",
+    "YUDH_HE": "1em",
+    "KAPH": "1en",
+    "LAMADH": "1eo",
+    "MIM": "1ep",
+    "NUN": "1eq",
+    "SEMKATH": "1er",
+    "FINAL_SEMKATH": "1es",
+    "E": "1et",
+    "PE": "1eu",
+    "REVERSED_PE": "1ev",
+    "SADHE": "1ew",
+    "QAPH": "1ex",
+    "SHIN": "1ez",
+    "TAW": "1f0",
+    "ZHAIN": "1fx",
+    "KHAPH": "1fy",
+    "FE": "1fz",
+    "BURUSHASKI_YEH_BARREE": "1h6+1",
+    "MALAYALAM_NGA": "1nk",
+    "MALAYALAM_JA": "1nl",
+    "MALAYALAM_NYA": "1nm",
+    "MALAYALAM_TTA": "1nn",
+    "MALAYALAM_NNA": "1no",
+    "MALAYALAM_NNNA": "1np",
+    "MALAYALAM_BHA": "1nq",
+    "MALAYALAM_RA": "1nr",
+    "MALAYALAM_LLA": "1ns",
+    "MALAYALAM_LLLA": "1nt",
+    "MALAYALAM_SSA": "1nu",
+    "ROHINGYA_YEH": "1po",
+    "STRAIGHT_WAW": "1pt",
+    "AFRICAN_FEH": "1q3",
+    "AFRICAN_QAF": "1q4,8",
+    "AFRICAN_NOON": "1q5",
+    "MANICHAEAN_ALEPH": "1gow",
+    "MANICHAEAN_BETH": "1gox+1",
+    "MANICHAEAN_GIMEL": "1goz+1",
+    "MANICHAEAN_DALETH": "1gp1",
+    "MANICHAEAN_WAW": "1gp3",
+    "MANICHAEAN_ZAYIN": "1gp5+1",
+    "MANICHAEAN_HETH": "1gp9",
+    "MANICHAEAN_TETH": "1gpa",
+    "MANICHAEAN_YODH": "1gpb",
+    "MANICHAEAN_KAPH": "1gpc+2",
+    "MANICHAEAN_LAMEDH": "1gpf",
+    "MANICHAEAN_DHAMEDH": "1gpg",
+    "MANICHAEAN_THAMEDH": "1gph",
+    "MANICHAEAN_MEM": "1gpi",
+    "MANICHAEAN_NUN": "1gpj",
+    "MANICHAEAN_SAMEKH": "1gpk",
+    "MANICHAEAN_AYIN": "1gpl+1",
+    "MANICHAEAN_PE": "1gpn+1",
+    "MANICHAEAN_SADHE": "1gpp",
+    "MANICHAEAN_QOPH": "1gpq+2",
+    "MANICHAEAN_RESH": "1gpt",
+    "MANICHAEAN_TAW": "1gpw",
+    "MANICHAEAN_ONE": "1gq3",
+    "MANICHAEAN_FIVE": "1gq4",
+    "MANICHAEAN_TEN": "1gq5",
+    "MANICHAEAN_TWENTY": "1gq6",
+    "MANICHAEAN_HUNDRED": "1gq7",
+    "HANIFI_ROHINGYA_PA": "1h4y,7,j",
+    "HANIFI_ROHINGYA_KINNA_YA": "1h5l,5,2,3"
+  }
+}
@@ -0,0 +1,2 @@
+// Bidi mirrored property data, auto generated
+export default "14+1,j,2,t,2,u,2,1a,g,2v3+3,1ge+1,1wd+1,b+1,1j+1,f+1,4y,5d+3,4+5,4,4+1,4+3,2+3,2,2,5+8,6,2+h,6+3,a+1,2,2+7,3+u,3+3,6,a+1,3+i,6+1,a+4,3+1,5+n,3+f,9+3,l+1,8+1,u6+d,23,3+3,2+1,2+2,6+3,6+2,4+d,b8+l,3+5,2+d,9,8+5,4,5+4,2+1,3+4,5,2+2,3+1,b+5,3+1,d+i,2+3,3,2,3,2+3,6+1,7+2,p+1,c+1,5+3,2+1,3+1,5+16,3+7,2+13,6,2,4+4,6+2,5,4+4,2,75,ec+3,4+1,2+1,f+1,3+9,db+9,3+7,14qm+5,6+1,4j+1,j,2,t,2,u,2,2+1,2+1,16k8,1m,1m,1m,1m"
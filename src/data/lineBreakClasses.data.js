@@ -0,0 +1,44 @@
+// Line breaking classes data, auto generated
+export default {
+  "classes": {
+    "CM": "0+8,6+h,2o+5,2+p,gx+26,2+b,8+c,7o+6,7c+18,2,2+1,2+1,2,21+a,2,1b+k,h,2u+6,3+5,3+1,2+3,10,v+q,2k+a,1n+8,a,p+3,2+8,2+2,2+4,18+2,3c+e,2+w,1j+2,2+h,2+6,b+1,u+2,1l,2+6,3+1,3+2,a,b+1,r,3+2,1l,2+4,5+1,3+2,4,v+1,4,c+2,1l,2+7,2+2,2+2,l+1,n+5,2+2,1l,2+6,3+1,3+2,8+2,b+1,v,1o+4,4+2,2+3,a,15+4,1m+6,2+2,2+3,8+1,c+1,u+2,1l,2+6,2+2,2+3,8+1,c+1,t+3,1k+1,2+6,2+2,2+3,a,b+1,u+2,1z,5+5,2,2+7,j+1,1q,3+6,d+7,2r,3+8,c+5,23+1,s,2,2,5+1,1e+d,2+4,2+1,6+a,2+z,a,2t+j,o+3,5+2,2+2,3+6,4+3,e+b,2,b+3,jk+2,qb+2,u+2,u+1,v+1,1t+v,a,1a+2,3c+1,z,3b+b,5+b,64+4,1m+9,2+s,3,1d+g,1s+4,1c+g,13+8,d+2,v+c,1l+d,1d+j,49+2,2+k,5,7,3+2,5j+1l,2+4,el,2+1,r+4,1k+9,2p+w,2db+2,3y,2p+v,ff+5,6,2s+1,n9x+3,2+9,x+1,29+1,7l,4,5,o+4,5,2c+1,1f+h,r+h,e,13+7,q+c,19+3,1c+d,11,1w+d,d,9+1,1a+2,1f,2+2,3+1,6+1,2,16+4,6+1,6l+7,2+1,fn5,ki+f,h+f,cq+2,ea,6b,46+4,1af+2,2+1,6+3,15+2,5,4m+1,fy+3,as+1,4a+a,4w+2,1i+e,1l+3,1a+a,1y+2,11+d,h+1,19,d+2,1d+d,9+3,2+1,2l+b,7,4h+b,m+3,1k+1,2+6,3+1,3+2,a,b+1,3+6,4+4,5d+h,o,2a+j,6k+6,3+8,s+1,2b+g,2z+c,2u+e,75+e,6u+5,2+1,3+3,2,2+1,3y+6,3+6,4,t+9,15+6,2+3,9,a+a,1b+f,ba+7,2+7,2b+l,2+d,3f+5,4,2+1,2+6,2,1v+4,2+1,2+4,9o+3,f0a+4,1o+6,t5,2+1i,8+3,2m+1,f58+1,2+3,43m+4,4+l,3+6,v+3,45+2,1j0+1i,5+1d,9,f,n+4,2+e,11t+6,2+g,3+6,2+1,2+4,7a+6,c6+3,15t+6,32+6,gzav,v+2n,3l+6n",
+    "BA": "9,37,1d,yl,1g,py+1,z9+1,4w,15,23,6,1l+1,j,3c+1,ly,4f,hs,2z+2,20+1,4e+1,3,2,16+1,np+1,2+3,63+4,1r+1,ox+6,2+2,6,2+1,k,1b,2+3,2+2,2hn+2,3,35,4e+7,2,2,h+3,3+1,2+1,8+2,2+1,2+7,2,2+1,c1,n3y+1,7i,2,6c+4,d3+1,2n+1,48+2,44+2,41+1,6y,gt1+2,il,1d,w7,5k,8h+7,49+5,1w+6,oe,be+1,3a+3,3j+3,3m+1,2,l+2,2h+1,2+1,31,bm+3,c+1,9z+1,6+e,2y+1,6y+2,ee+2,6z+3,2e+2,5+1,bj+4,qi,vl+4,dtm+1,3q,1u+2,b,nn+1,fev,5wo+3",
+    "LF": "a",
+    "BK": "b+1,6cc+1",
+    "CR": "d",
+    "SP": "w",
+    "EX": "x,u,13b,2d,3+1,51,85,1ec+4,3,1ri+1,5+1,8r+1,2sd+1,13q,5,8g,nog,h4+1,gwu+1,1s+1,4q,u,4h1+1,1bg",
+    "QU": "y,5,3o,g,671+1,2+2,2,q+1,1ep+5,1b4+d,f+1,3+1,2i51+2",
+    "PR": "10,7,1d,1z+2,c,ym,hb+1,e4,6u,7c,g6,1wc,1qd+6,2+d,2+3,2+1,2+g,1z,70+1,17iu,4b,65,4+1,18ux",
+    "PO": "11,3h,e,121+2,2n,p4+1,6,ow,3p3+7,34,f,5,3,1x,6,qpb,gxw,32,4b,63,6bh+3,14gc,4",
+    "OP": "14,1f,w,12,u,2uz,2,1gf,1vj,4,13,1k,g,hn,2,v,u7,2,2,2,2,2,2,29,x,2,2,2,2,b9,2,2,2,2,2,2,2,2,2,2,1t,2,y,t8,a,2,2,2,q,cm,2,2,2,2,4,2,2,2,3,14iq,60,u,2,2,2,2,2,2,2,4,i,2,2,4r,1f,w,4,3,a2e+2,18,2,6p,5a,3h3,wb4+1",
+    "CP": "15,1g",
+    "IS": "18,2,c+1,n7,ej,3n+1,dn,4ss,17t8,3+1",
+    "HY": "19",
+    "SY": "1b",
+    "NU": "1c+9,17r+9,2+1,3o+9,5j+9,bh+9,3b+9,3b+9,3b+9,3b+9,3b+9,3b+9,3b+9,3b+9,3b+9,2p+9,3b+9,1z+9,7r+9,1z+9,1fr+9,13+9,8d+9,3l+9,4n+9,7+9,53+9,2f+9,3r+9,7+9,r7r+9,iv+9,13+9,5j+9,n+9,2f+9,bb+9,hif+9,1on+9,ml+9,3l+9,1p+9,41+9,7r+9,9j+9,3b+9,af+9,2v+9,2v+9,br+9,2v+9,l3+9,6v+9,1z+9,f5j+9,6f+9,lf9+1d,1tt+9,br+9,193+9,3o7+9",
+    "CL": "3h,2wu,2,1gf,1wq,1k,g,hn,2,v,u7,2,2,2,2,2,2,29,x,2,2,2,2,b9,2,2,2,2,2,2,2,2,2,2,1t,2,y,ti,2,2,2,d4+1,7,2,2,2,2,4,2,2,2,3+1,14in,5v+1,6,u,2,2,2,2,2,2,2,4,8,2,8,2,2,4r,3,2,1b,w,3+1,2+1,a2f+2,11,5,2,6p+1,59,3h3",
+    "NL": "3p",
+    "GL": "4g,j3,d+6,2au,4,6,5j+1,1mc,1kp,a,u,1iip+6,bse",
+    "BB": "50,es,4,j,1w8,d,hp+3,2+1,2+1,5i+1,2,1mb,1kn,qyf+1,3r,kmx,2u,rq,4f+c,om,2l,6,2h+2,cw",
+    "HL": "15c+q,5+3,1cff,2+9,2+c,2+4,2,2+1,2+1,2+9",
+    "JL": "3cw+2n,u0x+s",
+    "JV": "3fk+1z,1349+m",
+    "JT": "3hk+2f,132k+1c",
+    "NS": "4pi,1nq+1,a+2,33w,n,v+1,5,2,2,2,2,q,w,2,2,7,7+1,5+3,2+1,2,2,2,2,q,w,2,2,7,7+1,5+3,6q+f,lqu,im7+1,5h+1,22,2+9,1a+1,m69+3,cx9+2,i+3,dn6+2",
+    "ZW": "6bv",
+    "ZWJ": "6bx",
+    "B2": "6c4,2sm+1",
+    "IN": "6ck+2,jt,17ai,2jh",
+    "WJ": "6e8,17z3",
+    "ID": "6xm+1,5x+3,el+3,h+1,3,2+2,2+1,q+2,19,n,1q+b,5,2+2,2+1,4+1,3,3+2,9,7+4,2+1,2,3+7,4+1,2j,1ek+p,2+2g,d+5x,r+b,8+1,2+1,b+1,d+9,7+4,2+4,3+2,3,2,2,2,2+o,2+u,2,2,2+5,2+5,b,3,2,2,2,2+o,2+u,2,2,2+5,2+5,3+3,5,6+16,2+2l,2+2b,t+u,2+13,9+5f3,1t+g7o,2+vq,4+1i,gmy+e7,mp+4,h+1,3+6,2,7,7+7,2,3,47+1,3+1,3+1,2,2+a,3+2,2+q,2,2+s,2,2,8,b+18,3+u,4+5,3+5,3+5,3+2,6+2,m58+4qf,9+lb,e9+8,6wo+7y,2a+az,c1x+73,e+2,2m+2,1q+1k,r+as,2+l,3+m,3+4,2+4,4+1,2+1,4+19,6+1t,3+1,c+k,k+2,2+3,4,4+6,2,2+d,2,2,2+4,2+3,2,3+24,8+f,f+c,p+15,3+3,2+k,2+3,3+1o,9+n,7+22,4+2,1i+y,2+f,4+8,2+a,2+1e,39+b,2e+16,d+3,1l+7,b+5,15+7,v+29,e+1,2+7,9+5,2+8,b+1,4+1j,2+1o,3,3,2+g,4,e+x,2d+4r,75+sd,3+1ekd,3+1ekd",
+    "EB": "7j1,64,h+3,2iyg,1p+2,3,3+2,3a+1,3+a,m+i,4,5+2,2+2,8,2,p,5m+1,5,m,5+1,4v+2,4+4,2c,h+2,a,c,g0,3,9+7,7,a+9,3+2,1l,1q+1,2+1,2,i+2,2+c",
+    "H2": "xz4,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s,s",
+    "H3": "xz5+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q,2+q",
+    "CB": "1ekc",
+    "RI": "2qcm+p",
+    "EM": "2qrf+4"
+  },
+  "eastAsianWide": "6y1,2jj,2,2,2,2,4,2,2,2,3,14oq,u,2,2,2,2,2,2,2,4,i,2,2,4r,1f,w,4,3",
+  "unassignedPictographic": "2q0c+3,2t+b,g+1,g,g,12+9,4v+1j,u+c,19+3,a+6,3+d,7+49,rd+7,e+2,e+2,39+b,2i+6,d+j,d+3,1l+7,b+5,15+7,v+1,3+25,3e,2b,3s+b,f+1,6+2,4+4,8+8,q+6,8+8,4+c,8+14,75+sd"
+}
@@ -0,0 +1,2 @@
+// Unicode version of the bundled data, auto generated
+export default "13.0.0"
@@ -1,13 +1,16 @@
 import {
   BN_LIKE_TYPES,
-  getBidiCharType,
+  getBidiCharTypeForCodePoint,
   ISOLATE_INIT_TYPES,
   NEUTRAL_ISOLATE_TYPES,
   STRONG_TYPES,
   TRAILING_TYPES,
-  TYPES
+  TYPES,
+  TYPES_TO_NAMES
 } from './charTypes.js'
 import { closingToOpeningBracket, getCanonicalBracket, openingToClosingBracket } from './brackets.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+import { getIgnoredRanges } from './markup.js'
 
 // Local type aliases
 const {
@@ -37,57 +40,217 @@ const {
 
 /**
  * @typedef {object} GetEmbeddingLevelsResult
- * @property {{start, end, level}[]} paragraphs
+ * @property {BidiParagraph[]} paragraphs
  * @property {Uint8Array} levels
+ * @property {BidiTrace} [trace] - only when the `trace` option is set
+ * @property {number[][]} [ignoredRanges] - only when the `ignoreRanges` or `markup` option is set: the sorted and
+ *           merged inclusive [start, end] ranges that were ignored, which the reordering functions reuse rather
+ *           than finding them again for each line
  */
 
+/**
+ * @typedef {object} BidiParagraph
+ * @property {number} start - index of the paragraph's first character
+ * @property {number} end - index of the paragraph's last character, inclusive, including its separator
+ * @property {number} level - the paragraph's base embedding level
+ * @property {"explicit"|"detected"|"defaulted"} levelSource - whether the level was given by the base direction,
+ *           detected from the paragraph's first strong character (P2-P3), or defaulted to the fallback direction
+ *           because it has none
+ */
+
+/**
+ * The base direction for one paragraph: "ltr" or "rtl" to force it, "auto" to detect it from the first strong
+ * character (P2-P3) and default to LTR without one, or an object with `auto: true` and a `fallback` direction
+ * to default to instead, like an element with `dir=auto` inside an RTL document.
+ * @typedef {"ltr"|"rtl"|"auto"|{auto: boolean, fallback: "ltr"|"rtl"}} ParagraphDirection
+ */
+
+/**
+ * The base direction for a string: a single ParagraphDirection applied to every paragraph, an array of them by
+ * paragraph index (missing entries are "auto"), or a function taking each paragraph's index, start, and
+ * inclusive end and returning its ParagraphDirection.
+ * @typedef {ParagraphDirection|ParagraphDirection[]|function(number, number, number): ParagraphDirection} BaseDirection
+ */
+
+/**
+ * @typedef {object} BidiTrace
+ * @property {BidiCharacterTrace[]} characters - one per index of the string
+ * @property {{paragraph: number, level: number, sos: "L"|"R", eos: "L"|"R", runs: number[][]}[]} isolatingRunSequences -
+ *           the isolating run sequences of each paragraph as computed by X10, with the inclusive [start, end]
+ *           index ranges of their level runs
+ */
+
+/**
+ * @typedef {object} BidiCharacterTrace
+ * @property {string} type - the character's bidi type before any rules were applied
+ * @property {number} explicitLevel - the embedding level assigned by the explicit rules X1-X8
+ * @property {{rule: string, type?: string, level?: number}[]} steps - each change made to the character's type
+ *           or level, in order, with the ID of the rule that made it, e.g. `{rule: "W2", type: "AN"}` or
+ *           `{rule: "I1", level: 2}`
+ */
+
+export const MAX_DEPTH = 125
+const FORMATTING_TYPES = TYPE_RLE | TYPE_LRE | TYPE_RLO | TYPE_LRO | ISOLATE_INIT_TYPES | TYPE_PDI | TYPE_PDF | TYPE_B
+
+// Flags for level runs
+const RUN_STARTS_WITH_PDI = 1
+const RUN_ENDS_WITH_ISOL_INIT = 2
+
+// Strings up to this length reuse a shared set of scratch buffers, so that calling getEmbeddingLevels over and
+// over for many short strings doesn't create garbage. Longer strings get their own, to avoid holding onto
+// large buffers indefinitely.
+const MAX_SCRATCH_LENGTH = 0x10000
+
+let sharedScratch = null
+let sharedScratchInUse = false
+
+/**
+ * Allocate the working buffers used while resolving levels, large enough for a string of the given length.
+ */
+function createScratch (length) {
+  return {
+    _capacity: length,
+    _charTypes: new Uint32Array(length),
+    _originalTypes: new Uint32Array(length),
+    _isolationPairs: new Int32Array(length), //init->pdi and pdi->init, or -1
+    _runStarts: new Int32Array(length),
+    _runEnds: new Int32Array(length),
+    _runLevels: new Uint8Array(length),
+    _runFlags: new Uint8Array(length),
+    _seqFirstRuns: new Int32Array(length),
+    _seqBoundaryTypes: new Uint32Array(length * 2), //sos and eos for each isolating run sequence
+    _seqIndices: new Int32Array(length),
+    _bracketOpens: new Int32Array(length),
+    _bracketCloses: new Int32Array(length),
+    _openerStack: new Int32Array(63),
+    _stackLevels: new Uint8Array(MAX_DEPTH + 2),
+    _stackOverrides: new Uint32Array(MAX_DEPTH + 2),
+    _stackIsolInits: new Int32Array(MAX_DEPTH + 2) //-1 for non-isolate entries
+  }
+}
+
 /**
  * This function applies the Bidirectional Algorithm to a string, returning the resolved embedding levels
  * in a single Uint8Array plus a list of objects holding each paragraph's start and end indices and resolved
  * base embedding level.
  *
+ * Its working memory is reused between calls, so for rendering many strings in a loop the only allocations
+ * are the result object, its paragraphs, and its levels array; pass `options.levels` to reuse that too.
+ *
  * @param {string} string - The input string
- * @param {"ltr"|"rtl"|"auto"} [baseDirection] - Use "ltr" or "rtl" to force a base paragraph direction,
- *        otherwise a direction will be chosen automatically from each paragraph's contents.
+ * @param {BaseDirection} [baseDirection] - Use "ltr" or "rtl" to force a base paragraph direction,
+ *        otherwise a direction will be chosen automatically from each paragraph's contents. Can also be given
+ *        per paragraph.
+ * @param {BidiOptions} [options]
  * @return {GetEmbeddingLevelsResult}
  */
-export function getEmbeddingLevels (string, baseDirection) {
-  const MAX_DEPTH = 125
-
-  // Start by mapping all characters to their unicode type, as a bitmask integer
-  const charTypes = new Uint32Array(string.length)
-  for (let i = 0; i < string.length; i++) {
-    charTypes[i] = getBidiCharType(string[i])
+export function getEmbeddingLevels (string, baseDirection, options) {
+  let levels = options && options.levels
+  if (levels) {
+    if (levels.length < string.length) {
+      throw new Error(`levels array of length ${levels.length} is too short for string of length ${string.length}`)
+    }
+  } else {
+    levels = new Uint8Array(string.length)
   }
 
-  const charTypeCounts = new Map() //will be cleared at start of each paragraph
-  function changeCharType(i, type) {
-    const oldType = charTypes[i]
-    charTypes[i] = type
-    charTypeCounts.set(oldType, charTypeCounts.get(oldType) - 1)
-    if (oldType & NEUTRAL_ISOLATE_TYPES) {
-      charTypeCounts.set(NEUTRAL_ISOLATE_TYPES, charTypeCounts.get(NEUTRAL_ISOLATE_TYPES) - 1)
+  // Use the shared scratch buffers unless they're already in use, e.g. by a charTypeOverrides function
+  // that itself calls getEmbeddingLevels
+  const useShared = !sharedScratchInUse && string.length <= MAX_SCRATCH_LENGTH
+  let scratch
+  if (useShared) {
+    if (!sharedScratch || sharedScratch._capacity < string.length) {
+      sharedScratch = createScratch(Math.min(MAX_SCRATCH_LENGTH, Math.max(string.length, sharedScratch ? sharedScratch._capacity * 2 : 256)))
+    }
+    scratch = sharedScratch
+    sharedScratchInUse = true
+  } else {
+    scratch = createScratch(string.length)
+  }
+  const trace = options && options.trace ? createTrace(string.length) : null
+  const ignoredRanges = getIgnoredRanges(string, options)
+  try {
+    const result = {
+      levels,
+      paragraphs: resolveLevels(string, baseDirection, options && options.charTypeOverrides, ignoredRanges, levels, scratch, trace)
+    }
+    if (trace) {
+      result.trace = trace
     }
-    charTypeCounts.set(type, (charTypeCounts.get(type) || 0) + 1)
-    if (type & NEUTRAL_ISOLATE_TYPES) {
-      charTypeCounts.set(NEUTRAL_ISOLATE_TYPES, (charTypeCounts.get(NEUTRAL_ISOLATE_TYPES) || 0) + 1)
+    if (options && (options.ignoreRanges || options.markup)) {
+      result.ignoredRanges = ignoredRanges || []
+    }
+    return result
+  } finally {
+    if (useShared) {
+      sharedScratchInUse = false
     }
   }
+}
+
+/**
+ * Resolve the embedding levels of `string` into `embedLevels`, returning the list of paragraphs.
+ */
+function resolveLevels (string, baseDirection, charTypeOverrides, ignoredRanges, embedLevels, scratch, trace) {
+  const strLen = string.length
+  const {
+    _charTypes: charTypes,
+    _originalTypes: originalTypes,
+    _isolationPairs: isolationPairs,
+    _runStarts: runStarts,
+    _runEnds: runEnds,
+    _runLevels: runLevels,
+    _runFlags: runFlags,
+    _seqFirstRuns: seqFirstRuns,
+    _seqBoundaryTypes: seqBoundaryTypes,
+    _seqIndices: seqIndices,
+    _bracketOpens: bracketOpens,
+    _bracketCloses: bracketCloses,
+    _openerStack: openerStack,
+    _stackLevels: stackLevels,
+    _stackOverrides: stackOverrides,
+    _stackIsolInits: stackIsolInits
+  } = scratch
 
-  const embedLevels = new Uint8Array(string.length)
-  const isolationPairs = new Map() //init->pdi and pdi->init
+  // Start by mapping all characters to their unicode type, as a bitmask integer. Supplementary characters
+  // are classified by their full code point, and both halves of the surrogate pair get that type. The
+  // original types are kept aside, as a few rules need them after the working types have been changed.
+  for (let i = 0; i < strLen; i++) {
+    const codePoint = string.codePointAt(i)
+    originalTypes[i] = charTypes[i] = getBidiCharTypeForCodePoint(codePoint, charTypeOverrides)
+    isolationPairs[i] = -1
+    if (codePoint > 0xFFFF) {
+      originalTypes[i + 1] = charTypes[i + 1] = charTypes[i]
+      isolationPairs[++i] = -1
+    }
+  }
+
+  // Ignored ranges, such as markup tags, are treated like boundary neutrals so they don't affect the resolution
+  // of the text around them
+  if (ignoredRanges) {
+    ignoredRanges.forEach(([start, end]) => {
+      for (let i = start; i <= end; i++) {
+        originalTypes[i] = charTypes[i] = TYPE_BN
+      }
+    })
+  }
+  if (trace) {
+    for (let i = 0; i < strLen; i++) {
+      trace.characters[i].type = TYPES_TO_NAMES[charTypes[i]]
+    }
+  }
 
   // === 3.3.1 The Paragraph Level ===
   // 3.3.1 P1: Split the text into paragraphs
-  const paragraphs = [] // [{start, end, level}, ...]
+  const paragraphs = [] // [{start, end, level, levelSource}, ...]
   let paragraph = null
-  for (let i = 0; i < string.length; i++) {
+  for (let i = 0; i < strLen; i++) {
     if (!paragraph) {
       paragraphs.push(paragraph = {
         start: i,
-        end: string.length - 1,
-        // 3.3.1 P2-P3: Determine the paragraph level
-        level: baseDirection === 'rtl' ? 1 : baseDirection === 'ltr' ? 0 : determineAutoEmbedLevel(i, false)
+        end: strLen - 1,
+        level: 0,
+        levelSource: 'explicit'
       })
     }
     if (charTypes[i] & TYPE_B) {
@@ -96,46 +259,58 @@ export function getEmbeddingLevels (string, baseDirection) {
     }
   }
 
-  const FORMATTING_TYPES = TYPE_RLE | TYPE_LRE | TYPE_RLO | TYPE_LRO | ISOLATE_INIT_TYPES | TYPE_PDI | TYPE_PDF | TYPE_B
-  const nextEven = n => n + ((n & 1) ? 1 : 2)
-  const nextOdd = n => n + ((n & 1) ? 2 : 1)
+  // 3.3.1 P2-P3: Determine the paragraph levels
+  for (let paraIdx = 0; paraIdx < paragraphs.length; paraIdx++) {
+    paragraph = paragraphs[paraIdx]
+    let direction = baseDirection
+    if (typeof direction === 'function') {
+      direction = direction(paraIdx, paragraph.start, paragraph.end)
+    } else if (Array.isArray(direction)) {
+      direction = direction[paraIdx]
+    }
+    const isObject = direction && typeof direction === 'object'
+    const auto = isObject ? !!direction.auto : direction !== 'ltr' && direction !== 'rtl'
+    const level = auto ? getFirstStrongLevel(charTypes, strLen, paragraph.start, false) : -1
+    if (level === -1) {
+      paragraph.level = (isObject ? direction.fallback : direction) === 'rtl' ? 1 : 0
+      paragraph.levelSource = auto ? 'defaulted' : 'explicit'
+    } else {
+      paragraph.level = level
+      paragraph.levelSource = 'detected'
+    }
+  }
 
   // Everything from here on will operate per paragraph.
+  let runCount = 0 //number of level runs in the current paragraph
   for (let paraIdx = 0; paraIdx < paragraphs.length; paraIdx++) {
     paragraph = paragraphs[paraIdx]
-    const statusStack = [{
-      _level: paragraph.level,
-      _override: 0, //0=neutral, 1=L, 2=R
-      _isolate: 0 //bool
-    }]
+    stackLevels[0] = paragraph.level
+    stackOverrides[0] = 0 //0=neutral, else TYPE_L or TYPE_R
+    stackIsolInits[0] = -1
+    let stackSize = 1
     let stackTop
     let overflowIsolateCount = 0
     let overflowEmbeddingCount = 0
     let validIsolateCount = 0
-    charTypeCounts.clear()
+    // Bitmask of all the types that may be present in the paragraph, for skipping rules that can't apply. Types
+    // that have been changed away still count; the rules are no-ops for them anyway.
+    let presentTypes = 0
 
     // === 3.3.2 Explicit Levels and Directions ===
     for (let i = paragraph.start; i <= paragraph.end; i++) {
       let charType = charTypes[i]
-      stackTop = statusStack[statusStack.length - 1]
-
-      // Set initial counts
-      charTypeCounts.set(charType, (charTypeCounts.get(charType) || 0) + 1)
-      if (charType & NEUTRAL_ISOLATE_TYPES) {
-        charTypeCounts.set(NEUTRAL_ISOLATE_TYPES, (charTypeCounts.get(NEUTRAL_ISOLATE_TYPES) || 0) + 1)
-      }
+      stackTop = stackSize - 1
+      presentTypes |= charType
 
       // Explicit Embeddings: 3.3.2 X2 - X3
       if (charType & FORMATTING_TYPES) { //prefilter all formatters
         if (charType & (TYPE_RLE | TYPE_LRE)) {
-          embedLevels[i] = stackTop._level // 5.2
-          const level = (charType === TYPE_RLE ? nextOdd : nextEven)(stackTop._level)
+          embedLevels[i] = stackLevels[stackTop] // 5.2
+          const level = (charType === TYPE_RLE ? nextOdd : nextEven)(stackLevels[stackTop])
           if (level <= MAX_DEPTH && !overflowIsolateCount && !overflowEmbeddingCount) {
-            statusStack.push({
-              _level: level,
-              _override: 0,
-              _isolate: 0
-            })
+            stackLevels[stackSize] = level
+            stackOverrides[stackSize] = 0
+            stackIsolInits[stackSize++] = -1
           } else if (!overflowIsolateCount) {
             overflowEmbeddingCount++
           }
@@ -143,14 +318,12 @@ export function getEmbeddingLevels (string, baseDirection) {
 
         // Explicit Overrides: 3.3.2 X4 - X5
         else if (charType & (TYPE_RLO | TYPE_LRO)) {
-          embedLevels[i] = stackTop._level // 5.2
-          const level = (charType === TYPE_RLO ? nextOdd : nextEven)(stackTop._level)
+          embedLevels[i] = stackLevels[stackTop] // 5.2
+          const level = (charType === TYPE_RLO ? nextOdd : nextEven)(stackLevels[stackTop])
           if (level <= MAX_DEPTH && !overflowIsolateCount && !overflowEmbeddingCount) {
-            statusStack.push({
-              _level: level,
-              _override: (charType & TYPE_RLO) ? TYPE_R : TYPE_L,
-              _isolate: 0
-            })
+            stackLevels[stackSize] = level
+            stackOverrides[stackSize] = (charType & TYPE_RLO) ? TYPE_R : TYPE_L
+            stackIsolInits[stackSize++] = -1
           } else if (!overflowIsolateCount) {
             overflowEmbeddingCount++
           }
@@ -160,22 +333,21 @@ export function getEmbeddingLevels (string, baseDirection) {
         else if (charType & ISOLATE_INIT_TYPES) {
           // X5c - FSI becomes either RLI or LRI
           if (charType & TYPE_FSI) {
-            charType = determineAutoEmbedLevel(i + 1, true) === 1 ? TYPE_RLI : TYPE_LRI
+            charType = determineAutoEmbedLevel(charTypes, strLen, i + 1, true) === 1 ? TYPE_RLI : TYPE_LRI
+            if (trace) traceType(trace, i, 'X5c', charType)
           }
 
-          embedLevels[i] = stackTop._level
-          if (stackTop._override) {
-            changeCharType(i, stackTop._override)
+          embedLevels[i] = stackLevels[stackTop]
+          if (stackOverrides[stackTop]) {
+            charTypes[i] = stackOverrides[stackTop]
+            if (trace) traceType(trace, i, 'X5a', charTypes[i])
           }
-          const level = (charType === TYPE_RLI ? nextOdd : nextEven)(stackTop._level)
+          const level = (charType === TYPE_RLI ? nextOdd : nextEven)(stackLevels[stackTop])
           if (level <= MAX_DEPTH && overflowIsolateCount === 0 && overflowEmbeddingCount === 0) {
             validIsolateCount++
-            statusStack.push({
-              _level: level,
-              _override: 0,
-              _isolate: 1,
-              _isolInitIndex: i
-            })
+            stackLevels[stackSize] = level
+            stackOverrides[stackSize] = 0
+            stackIsolInits[stackSize++] = i
           } else {
             overflowIsolateCount++
           }
@@ -187,22 +359,21 @@ export function getEmbeddingLevels (string, baseDirection) {
             overflowIsolateCount--
           } else if (validIsolateCount > 0) {
             overflowEmbeddingCount = 0
-            while (!statusStack[statusStack.length - 1]._isolate) {
-              statusStack.pop()
+            while (stackIsolInits[stackSize - 1] === -1) {
+              stackSize--
             }
             // Add to isolation pairs bidirectional mapping:
-            const isolInitIndex = statusStack[statusStack.length - 1]._isolInitIndex
-            if (isolInitIndex != null) {
-              isolationPairs.set(isolInitIndex, i)
-              isolationPairs.set(i, isolInitIndex)
-            }
-            statusStack.pop()
+            const isolInitIndex = stackIsolInits[stackSize - 1]
+            isolationPairs[isolInitIndex] = i
+            isolationPairs[i] = isolInitIndex
+            stackSize--
             validIsolateCount--
           }
-          stackTop = statusStack[statusStack.length - 1]
-          embedLevels[i] = stackTop._level
-          if (stackTop._override) {
-            changeCharType(i, stackTop._override)
+          stackTop = stackSize - 1
+          embedLevels[i] = stackLevels[stackTop]
+          if (stackOverrides[stackTop]) {
+            charTypes[i] = stackOverrides[stackTop]
+            if (trace) traceType(trace, i, 'X6a', charTypes[i])
           }
         }
 
@@ -212,12 +383,11 @@ export function getEmbeddingLevels (string, baseDirection) {
           if (overflowIsolateCount === 0) {
             if (overflowEmbeddingCount > 0) {
               overflowEmbeddingCount--
-            } else if (!stackTop._isolate && statusStack.length > 1) {
-              statusStack.pop()
-              stackTop = statusStack[statusStack.length - 1]
+            } else if (stackIsolInits[stackTop] === -1 && stackSize > 1) {
+              stackTop = --stackSize - 1
             }
           }
-          embedLevels[i] = stackTop._level // 5.2
+          embedLevels[i] = stackLevels[stackTop] // 5.2
         }
 
         // End of Paragraph: 3.3.2 X8
@@ -228,14 +398,21 @@ export function getEmbeddingLevels (string, baseDirection) {
 
       // Non-formatting characters: 3.3.2 X6
       else {
-        embedLevels[i] = stackTop._level
+        embedLevels[i] = stackLevels[stackTop]
         // NOTE: This exclusion of BN seems to go against what section 5.2 says, but is required for test passage
-        if (stackTop._override && charType !== TYPE_BN) {
-          changeCharType(i, stackTop._override)
+        if (stackOverrides[stackTop] && charType !== TYPE_BN) {
+          charTypes[i] = stackOverrides[stackTop]
+          if (trace) traceType(trace, i, 'X6', charTypes[i])
         }
       }
     }
 
+    if (trace) {
+      for (let i = paragraph.start; i <= paragraph.end; i++) {
+        trace.characters[i].explicitLevel = embedLevels[i]
+      }
+    }
+
     // === 3.3.3 Preparations for Implicit Processing ===
 
     // Remove all RLE, LRE, RLO, LRO, PDF, and BN characters: 3.3.3 X9
@@ -244,66 +421,41 @@ export function getEmbeddingLevels (string, baseDirection) {
 
     // 3.3.3 X10
     // Compute the set of isolating run sequences as specified by BD13
-    const levelRuns = []
-    let currentRun = null
-    let isolationLevel = 0
+    runCount = 0
     for (let i = paragraph.start; i <= paragraph.end; i++) {
       const charType = charTypes[i]
       if (!(charType & BN_LIKE_TYPES)) {
         const lvl = embedLevels[i]
-        const isIsolInit = charType & ISOLATE_INIT_TYPES
-        const isPDI = charType === TYPE_PDI
-        if (isIsolInit) {
-          isolationLevel++
-        }
-        if (currentRun && lvl === currentRun._level) {
-          currentRun._end = i
-          currentRun._endsWithIsolInit = isIsolInit
+        const endFlag = (charType & ISOLATE_INIT_TYPES) ? RUN_ENDS_WITH_ISOL_INIT : 0
+        if (runCount && lvl === runLevels[runCount - 1]) {
+          runEnds[runCount - 1] = i
+          runFlags[runCount - 1] = (runFlags[runCount - 1] & RUN_STARTS_WITH_PDI) | endFlag
         } else {
-          levelRuns.push(currentRun = {
-            _start: i,
-            _end: i,
-            _level: lvl,
-            _startsWithPDI: isPDI,
-            _endsWithIsolInit: isIsolInit
-          })
-        }
-        if (isPDI) {
-          isolationLevel--
+          runStarts[runCount] = runEnds[runCount] = i
+          runLevels[runCount] = lvl
+          runFlags[runCount++] = (charType === TYPE_PDI ? RUN_STARTS_WITH_PDI : 0) | endFlag
         }
       }
     }
-    const isolatingRunSeqs = [] // [{seqIndices: [], sosType: L|R, eosType: L|R}]
-    for (let runIdx = 0; runIdx < levelRuns.length; runIdx++) {
-      const run = levelRuns[runIdx]
-      if (!run._startsWithPDI || (run._startsWithPDI && !isolationPairs.has(run._start))) {
-        const seqRuns = [currentRun = run]
-        for (let pdiIndex; currentRun && currentRun._endsWithIsolInit && (pdiIndex = isolationPairs.get(currentRun._end)) != null;) {
-          for (let i = runIdx + 1; i < levelRuns.length; i++) {
-            if (levelRuns[i]._start === pdiIndex) {
-              seqRuns.push(currentRun = levelRuns[i])
-              break
-            }
-          }
-        }
-        // build flat list of indices across all runs:
-        const seqIndices = []
-        for (let i = 0; i < seqRuns.length; i++) {
-          const run = seqRuns[i]
-          for (let j = run._start; j <= run._end; j++) {
-            seqIndices.push(j)
-          }
+    // Find the first level run of each sequence, and determine its sos/eos types up front, before any
+    // of the sequences' types get changed
+    let seqCount = 0
+    for (let runIdx = 0; runIdx < runCount; runIdx++) {
+      if (!(runFlags[runIdx] & RUN_STARTS_WITH_PDI) || isolationPairs[runStarts[runIdx]] === -1) {
+        let lastRunIdx = runIdx
+        for (let nextRunIdx; (nextRunIdx = getNextRunInSequence(lastRunIdx)) !== -1;) {
+          lastRunIdx = nextRunIdx
         }
-        // determine the sos/eos types:
-        let firstLevel = embedLevels[seqIndices[0]]
+        const firstIndex = runStarts[runIdx]
+        const lastIndex = runEnds[lastRunIdx]
+        let firstLevel = embedLevels[firstIndex]
         let prevLevel = paragraph.level
-        for (let i = seqIndices[0] - 1; i >= 0; i--) {
+        for (let i = firstIndex - 1; i >= paragraph.start; i--) {
           if (!(charTypes[i] & BN_LIKE_TYPES)) { //5.2
             prevLevel = embedLevels[i]
             break
           }
         }
-        const lastIndex = seqIndices[seqIndices.length - 1]
         let lastLevel = embedLevels[lastIndex]
         let nextLevel = paragraph.level
         if (!(charTypes[lastIndex] & ISOLATE_INIT_TYPES)) {
@@ -314,20 +466,40 @@ export function getEmbeddingLevels (string, baseDirection) {
             }
           }
         }
-        isolatingRunSeqs.push({
-          _seqIndices: seqIndices,
-          _sosType: Math.max(prevLevel, firstLevel) % 2 ? TYPE_R : TYPE_L,
-          _eosType: Math.max(nextLevel, lastLevel) % 2 ? TYPE_R : TYPE_L
-        })
+        seqFirstRuns[seqCount] = runIdx
+        seqBoundaryTypes[seqCount * 2] = Math.max(prevLevel, firstLevel) % 2 ? TYPE_R : TYPE_L
+        seqBoundaryTypes[seqCount * 2 + 1] = Math.max(nextLevel, lastLevel) % 2 ? TYPE_R : TYPE_L
+        if (trace) {
+          const runs = []
+          for (let r = runIdx; r !== -1; r = getNextRunInSequence(r)) {
+            runs.push([runStarts[r], runEnds[r]])
+          }
+          trace.isolatingRunSequences.push({
+            paragraph: paraIdx,
+            level: firstLevel,
+            sos: TYPES_TO_NAMES[seqBoundaryTypes[seqCount * 2]],
+            eos: TYPES_TO_NAMES[seqBoundaryTypes[seqCount * 2 + 1]],
+            runs
+          })
+        }
+        seqCount++
       }
     }
 
     // The next steps are done per isolating run sequence
-    for (let seqIdx = 0; seqIdx < isolatingRunSeqs.length; seqIdx++) {
-      const { _seqIndices: seqIndices, _sosType: sosType, _eosType: eosType } = isolatingRunSeqs[seqIdx]
+    for (let seqIdx = 0; seqIdx < seqCount; seqIdx++) {
+      const sosType = seqBoundaryTypes[seqIdx * 2]
+      const eosType = seqBoundaryTypes[seqIdx * 2 + 1]
+      // build flat list of indices across all runs:
+      let seqLength = 0
+      for (let runIdx = seqFirstRuns[seqIdx]; runIdx !== -1; runIdx = getNextRunInSequence(runIdx)) {
+        for (let j = runStarts[runIdx]; j <= runEnds[runIdx]; j++) {
+          seqIndices[seqLength++] = j
+        }
+      }
       /**
        * All the level runs in an isolating run sequence have the same embedding level.
-       * 
+       *
        * DO NOT change any `embedLevels[i]` within the current scope.
        */
       const embedDirection = ((embedLevels[seqIndices[0]]) & 1) ? TYPE_R : TYPE_L;
@@ -337,8 +509,8 @@ export function getEmbeddingLevels (string, baseDirection) {
       // W1 + 5.2. Search backward from each NSM to the first character in the isolating run sequence whose
       // bidirectional type is not BN, and set the NSM to ON if it is an isolate initiator or PDI, and to its
       // type otherwise. If the NSM is the first non-BN character, change the NSM to the type of sos.
-      if (charTypeCounts.get(TYPE_NSM)) {
-        for (let si = 0; si < seqIndices.length; si++) {
+      if (presentTypes & TYPE_NSM) {
+        for (let si = 0; si < seqLength; si++) {
           const i = seqIndices[si]
           if (charTypes[i] & TYPE_NSM) {
             let prevType = sosType
@@ -348,22 +520,24 @@ export function getEmbeddingLevels (string, baseDirection) {
                 break
               }
             }
-            changeCharType(i, (prevType & (ISOLATE_INIT_TYPES | TYPE_PDI)) ? TYPE_ON : prevType)
+            charTypes[i] = (prevType & (ISOLATE_INIT_TYPES | TYPE_PDI)) ? TYPE_ON : prevType
+            if (trace) traceType(trace, i, 'W1', charTypes[i])
           }
         }
       }
 
       // W2. Search backward from each instance of a European number until the first strong type (R, L, AL, or sos)
       // is found. If an AL is found, change the type of the European number to Arabic number.
-      if (charTypeCounts.get(TYPE_EN)) {
-        for (let si = 0; si < seqIndices.length; si++) {
+      if (presentTypes & TYPE_EN) {
+        for (let si = 0; si < seqLength; si++) {
           const i = seqIndices[si]
           if (charTypes[i] & TYPE_EN) {
             for (let sj = si - 1; sj >= -1; sj--) {
               const prevCharType = sj === -1 ? sosType : charTypes[seqIndices[sj]]
               if (prevCharType & STRONG_TYPES) {
                 if (prevCharType === TYPE_AL) {
-                  changeCharType(i, TYPE_AN)
+                  charTypes[i] = TYPE_AN
+                  if (trace) traceType(trace, i, 'W2', TYPE_AN)
                 }
                 break
               }
@@ -373,19 +547,20 @@ export function getEmbeddingLevels (string, baseDirection) {
       }
 
       // W3. Change all ALs to R
-      if (charTypeCounts.get(TYPE_AL)) {
-        for (let si = 0; si < seqIndices.length; si++) {
+      if (presentTypes & TYPE_AL) {
+        for (let si = 0; si < seqLength; si++) {
           const i = seqIndices[si]
           if (charTypes[i] & TYPE_AL) {
-            changeCharType(i, TYPE_R)
+            charTypes[i] = TYPE_R
+            if (trace) traceType(trace, i, 'W3', TYPE_R)
           }
         }
       }
 
       // W4. A single European separator between two European numbers changes to a European number. A single common
       // separator between two numbers of the same type changes to that type.
-      if (charTypeCounts.get(TYPE_ES) || charTypeCounts.get(TYPE_CS)) {
-        for (let si = 1; si < seqIndices.length - 1; si++) {
+      if (presentTypes & (TYPE_ES | TYPE_CS)) {
+        for (let si = 1; si < seqLength - 1; si++) {
           const i = seqIndices[si]
           if (charTypes[i] & (TYPE_ES | TYPE_CS)) {
             let prevType = 0, nextType = 0
@@ -395,48 +570,53 @@ export function getEmbeddingLevels (string, baseDirection) {
                 break
               }
             }
-            for (let sj = si + 1; sj < seqIndices.length; sj++) {
+            for (let sj = si + 1; sj < seqLength; sj++) {
               nextType = charTypes[seqIndices[sj]]
               if (!(nextType & BN_LIKE_TYPES)) { //5.2
                 break
               }
             }
             if (prevType === nextType && (charTypes[i] === TYPE_ES ? prevType === TYPE_EN : (prevType & (TYPE_EN | TYPE_AN)))) {
-              changeCharType(i, prevType)
+              charTypes[i] = prevType
+              if (trace) traceType(trace, i, 'W4', prevType)
             }
           }
         }
       }
 
       // W5. A sequence of European terminators adjacent to European numbers changes to all European numbers.
-      if (charTypeCounts.get(TYPE_EN)) {
-        for (let si = 0; si < seqIndices.length; si++) {
+      if (presentTypes & TYPE_EN) {
+        for (let si = 0; si < seqLength; si++) {
           const i = seqIndices[si]
           if (charTypes[i] & TYPE_EN) {
             for (let sj = si - 1; sj >= 0 && (charTypes[seqIndices[sj]] & (TYPE_ET | BN_LIKE_TYPES)); sj--) {
-              changeCharType(seqIndices[sj], TYPE_EN)
+              charTypes[seqIndices[sj]] = TYPE_EN
+              if (trace) traceType(trace, seqIndices[sj], 'W5', TYPE_EN)
             }
-            for (si++; si < seqIndices.length && (charTypes[seqIndices[si]] & (TYPE_ET | BN_LIKE_TYPES | TYPE_EN)); si++) {
-              if (charTypes[seqIndices[si]] !== TYPE_EN) {
-                changeCharType(seqIndices[si], TYPE_EN)
-              }
+            for (si++; si < seqLength && (charTypes[seqIndices[si]] & (TYPE_ET | BN_LIKE_TYPES | TYPE_EN)); si++) {
+              if (trace && charTypes[seqIndices[si]] !== TYPE_EN) traceType(trace, seqIndices[si], 'W5', TYPE_EN)
+              charTypes[seqIndices[si]] = TYPE_EN
             }
           }
         }
       }
 
       // W6. Otherwise, separators and terminators change to Other Neutral.
-      if (charTypeCounts.get(TYPE_ET) || charTypeCounts.get(TYPE_ES) || charTypeCounts.get(TYPE_CS)) {
-        for (let si = 0; si < seqIndices.length; si++) {
+      if (presentTypes & (TYPE_ET | TYPE_ES | TYPE_CS)) {
+        for (let si = 0; si < seqLength; si++) {
           const i = seqIndices[si]
           if (charTypes[i] & (TYPE_ET | TYPE_ES | TYPE_CS)) {
-            changeCharType(i, TYPE_ON)
+            charTypes[i] = TYPE_ON
+            presentTypes |= TYPE_ON
+            if (trace) traceType(trace, i, 'W6', TYPE_ON)
             // 5.2 transform adjacent BNs too:
             for (let sj = si - 1; sj >= 0 && (charTypes[seqIndices[sj]] & BN_LIKE_TYPES); sj--) {
-              changeCharType(seqIndices[sj], TYPE_ON)
+              charTypes[seqIndices[sj]] = TYPE_ON
+              if (trace) traceType(trace, seqIndices[sj], 'W6', TYPE_ON)
             }
-            for (let sj = si + 1; sj < seqIndices.length && (charTypes[seqIndices[sj]] & BN_LIKE_TYPES); sj++) {
-              changeCharType(seqIndices[sj], TYPE_ON)
+            for (let sj = si + 1; sj < seqLength && (charTypes[seqIndices[sj]] & BN_LIKE_TYPES); sj++) {
+              charTypes[seqIndices[sj]] = TYPE_ON
+              if (trace) traceType(trace, seqIndices[sj], 'W6', TYPE_ON)
             }
           }
         }
@@ -445,13 +625,14 @@ export function getEmbeddingLevels (string, baseDirection) {
       // W7. Search backward from each instance of a European number until the first strong type (R, L, or sos)
       // is found. If an L is found, then change the type of the European number to L.
       // NOTE: implemented in single forward pass for efficiency
-      if (charTypeCounts.get(TYPE_EN)) {
-        for (let si = 0, prevStrongType = sosType; si < seqIndices.length; si++) {
+      if (presentTypes & TYPE_EN) {
+        for (let si = 0, prevStrongType = sosType; si < seqLength; si++) {
           const i = seqIndices[si]
           const type = charTypes[i]
           if (type & TYPE_EN) {
             if (prevStrongType === TYPE_L) {
-              changeCharType(i, TYPE_L)
+              charTypes[i] = TYPE_L
+              if (trace) traceType(trace, i, 'W7', TYPE_L)
             }
           } else if (type & STRONG_TYPES) {
             prevStrongType = type
@@ -461,18 +642,19 @@ export function getEmbeddingLevels (string, baseDirection) {
 
       // === 3.3.5 Resolving Neutral and Isolate Formatting Types ===
 
-      if (charTypeCounts.get(NEUTRAL_ISOLATE_TYPES)) {
+      if (presentTypes & NEUTRAL_ISOLATE_TYPES) {
         // N0. Process bracket pairs in an isolating run sequence sequentially in the logical order of the text
         // positions of the opening paired brackets using the logic given below. Within this scope, bidirectional
         // types EN and AN are treated as R.
         const R_TYPES_FOR_N_STEPS = (TYPE_R | TYPE_EN | TYPE_AN)
         const STRONG_TYPES_FOR_N_STEPS = R_TYPES_FOR_N_STEPS | TYPE_L
 
-        // * Identify the bracket pairs in the current isolating run sequence according to BD16.
-        const bracketPairs = []
+        // * Identify the bracket pairs in the current isolating run sequence according to BD16. They are kept
+        // sorted by the position of their opening bracket.
+        let bracketPairCount = 0
         {
-          const openerStack = []
-          for (let si = 0; si < seqIndices.length; si++) {
+          let openerCount = 0
+          for (let si = 0; si < seqLength; si++) {
             // NOTE: for any potential bracket character we also test that it still carries a NI
             // type, as that may have been changed earlier. This doesn't seem to be explicitly
             // called out in the spec, but is required for passage of certain tests.
@@ -481,33 +663,39 @@ export function getEmbeddingLevels (string, baseDirection) {
               let oppositeBracket
               // Opening bracket
               if (openingToClosingBracket(char) !== null) {
-                if (openerStack.length < 63) {
-                  openerStack.push({ char, seqIndex: si })
+                if (openerCount < openerStack.length) {
+                  openerStack[openerCount++] = si
                 } else {
                   break
                 }
               }
               // Closing bracket
               else if ((oppositeBracket = closingToOpeningBracket(char)) !== null) {
-                for (let stackIdx = openerStack.length - 1; stackIdx >= 0; stackIdx--) {
-                  const stackChar = openerStack[stackIdx].char
+                for (let stackIdx = openerCount - 1; stackIdx >= 0; stackIdx--) {
+                  const stackChar = string[seqIndices[openerStack[stackIdx]]]
                   if (stackChar === oppositeBracket ||
                     stackChar === closingToOpeningBracket(getCanonicalBracket(char)) ||
                     openingToClosingBracket(getCanonicalBracket(stackChar)) === char
                   ) {
-                    bracketPairs.push([openerStack[stackIdx].seqIndex, si])
-                    openerStack.length = stackIdx //pop the matching bracket and all following
+                    let pairIdx = bracketPairCount++
+                    for (; pairIdx > 0 && bracketOpens[pairIdx - 1] > openerStack[stackIdx]; pairIdx--) {
+                      bracketOpens[pairIdx] = bracketOpens[pairIdx - 1]
+                      bracketCloses[pairIdx] = bracketCloses[pairIdx - 1]
+                    }
+                    bracketOpens[pairIdx] = openerStack[stackIdx]
+                    bracketCloses[pairIdx] = si
+                    openerCount = stackIdx //pop the matching bracket and all following
                     break
                   }
                 }
               }
             }
           }
-          bracketPairs.sort((a, b) => a[0] - b[0])
         }
         // * For each bracket-pair element in the list of pairs of text positions
-        for (let pairIdx = 0; pairIdx < bracketPairs.length; pairIdx++) {
-          const [openSeqIdx, closeSeqIdx] = bracketPairs[pairIdx]
+        for (let pairIdx = 0; pairIdx < bracketPairCount; pairIdx++) {
+          const openSeqIdx = bracketOpens[pairIdx]
+          const closeSeqIdx = bracketCloses[pairIdx]
           // a. Inspect the bidirectional types of the characters enclosed within the bracket pair.
           // b. If any strong type (either L or R) matching the embedding direction is found, set the type for both
           // brackets in the pair to match the embedding direction.
@@ -547,24 +735,30 @@ export function getEmbeddingLevels (string, baseDirection) {
           }
           if (useStrongType) {
             charTypes[seqIndices[openSeqIdx]] = charTypes[seqIndices[closeSeqIdx]] = useStrongType
+            if (trace) {
+              traceType(trace, seqIndices[openSeqIdx], 'N0', useStrongType)
+              traceType(trace, seqIndices[closeSeqIdx], 'N0', useStrongType)
+            }
             // * Any number of characters that had original bidirectional character type NSM prior to the application
             // of W1 that immediately follow a paired bracket which changed to L or R under N0 should change to match
             // the type of their preceding bracket.
             if (useStrongType !== embedDirection) {
-              for (let si = openSeqIdx + 1; si < seqIndices.length; si++) {
+              for (let si = openSeqIdx + 1; si < seqLength; si++) {
                 if (!(charTypes[seqIndices[si]] & BN_LIKE_TYPES)) {
-                  if (getBidiCharType(string[seqIndices[si]]) & TYPE_NSM) {
+                  if (originalTypes[seqIndices[si]] & TYPE_NSM) {
                     charTypes[seqIndices[si]] = useStrongType
+                    if (trace) traceType(trace, seqIndices[si], 'N0', useStrongType)
                   }
                   break
                 }
               }
             }
             if (useStrongType !== embedDirection) {
-              for (let si = closeSeqIdx + 1; si < seqIndices.length; si++) {
+              for (let si = closeSeqIdx + 1; si < seqLength; si++) {
                 if (!(charTypes[seqIndices[si]] & BN_LIKE_TYPES)) {
-                  if (getBidiCharType(string[seqIndices[si]]) & TYPE_NSM) {
+                  if (originalTypes[seqIndices[si]] & TYPE_NSM) {
                     charTypes[seqIndices[si]] = useStrongType
+                    if (trace) traceType(trace, seqIndices[si], 'N0', useStrongType)
                   }
                   break
                 }
@@ -576,7 +770,7 @@ export function getEmbeddingLevels (string, baseDirection) {
         // N1. A sequence of NIs takes the direction of the surrounding strong text if the text on both sides has the
         // same direction.
         // N2. Any remaining NIs take the embedding direction.
-        for (let si = 0; si < seqIndices.length; si++) {
+        for (let si = 0; si < seqLength; si++) {
           if (charTypes[seqIndices[si]] & NEUTRAL_ISOLATE_TYPES) {
             let niRunStart = si, niRunEnd = si
             let prevType = sosType //si === 0 ? sosType : (charTypes[seqIndices[si - 1]] & R_TYPES_FOR_N_STEPS) ? TYPE_R : TYPE_L
@@ -589,7 +783,7 @@ export function getEmbeddingLevels (string, baseDirection) {
               }
             }
             let nextType = eosType
-            for (let si2 = si + 1; si2 < seqIndices.length; si2++) {
+            for (let si2 = si + 1; si2 < seqLength; si2++) {
               if (charTypes[seqIndices[si2]] & (NEUTRAL_ISOLATE_TYPES | BN_LIKE_TYPES)) {
                 niRunEnd = si2
               } else {
@@ -599,6 +793,7 @@ export function getEmbeddingLevels (string, baseDirection) {
             }
             for (let sj = niRunStart; sj <= niRunEnd; sj++) {
               charTypes[seqIndices[sj]] = prevType === nextType ? prevType : embedDirection
+              if (trace) traceType(trace, seqIndices[sj], prevType === nextType ? 'N1' : 'N2', charTypes[seqIndices[sj]])
             }
             si = niRunEnd
           }
@@ -615,6 +810,7 @@ export function getEmbeddingLevels (string, baseDirection) {
       if (level & 1) {
         if (type & (TYPE_L | TYPE_EN | TYPE_AN)) {
           embedLevels[i]++
+          if (trace) traceLevel(trace, i, 'I2', embedLevels[i])
         }
       }
         // I1. For all characters with an even (left-to-right) embedding level, those of type R go up one level
@@ -622,22 +818,32 @@ export function getEmbeddingLevels (string, baseDirection) {
       else {
         if (type & TYPE_R) {
           embedLevels[i]++
+          if (trace) traceLevel(trace, i, 'I1', embedLevels[i])
         } else if (type & (TYPE_AN | TYPE_EN)) {
           embedLevels[i] += 2
+          if (trace) traceLevel(trace, i, 'I1', embedLevels[i])
         }
       }
 
       // 5.2: Resolve any LRE, RLE, LRO, RLO, PDF, or BN to the level of the preceding character if there is one,
-      // and otherwise to the base level.
-      if (type & BN_LIKE_TYPES) {
-        embedLevels[i] = i === 0 ? paragraph.level : embedLevels[i - 1]
+      // and otherwise to the base level. The original types are checked, since the W and N rules may have given
+      // these characters the type of their neighbors.
+      if (originalTypes[i] & BN_LIKE_TYPES) {
+        embedLevels[i] = i === paragraph.start ? paragraph.level : embedLevels[i - 1]
+        if (trace && embedLevels[i] !== level) traceLevel(trace, i, '5.2', embedLevels[i])
+      }
+
+      // Both halves of a surrogate pair are a single character, so they must always share a level.
+      if (isTrailingSurrogate(string, i)) {
+        embedLevels[i] = embedLevels[i - 1]
       }
 
       // 3.4 L1.1-4: Reset the embedding level of segment/paragraph separators, and any sequence of whitespace or
       // isolate formatting characters preceding them or the end of the paragraph, to the paragraph level.
       // NOTE: this will also need to be applied to each individual line ending after line wrapping occurs.
-      if (i === paragraph.end || getBidiCharType(string[i]) & (TYPE_S | TYPE_B)) {
-        for (let j = i; j >= 0 && (getBidiCharType(string[j]) & TRAILING_TYPES); j--) {
+      if (i === paragraph.end || originalTypes[i] & (TYPE_S | TYPE_B)) {
+        for (let j = i; j >= paragraph.start && (originalTypes[j] & TRAILING_TYPES); j--) {
+          if (trace && embedLevels[j] !== paragraph.level) traceLevel(trace, j, 'L1', paragraph.level)
           embedLevels[j] = paragraph.level
         }
       }
@@ -646,45 +852,339 @@ export function getEmbeddingLevels (string, baseDirection) {
 
   // DONE! The resolved levels can then be used, after line wrapping, to flip runs of characters
   // according to section 3.4 Reordering Resolved Levels
-  return {
-    levels: embedLevels,
-    paragraphs
+  return paragraphs
+
+  // Find the level run continuing the isolating run sequence from the given run, i.e. the one starting
+  // with the PDI matching the isolate initiator that the given run ends with, or -1 if there is none.
+  function getNextRunInSequence (runIdx) {
+    if (runFlags[runIdx] & RUN_ENDS_WITH_ISOL_INIT) {
+      const pdiIndex = isolationPairs[runEnds[runIdx]]
+      if (pdiIndex !== -1) {
+        for (let i = runIdx + 1; i < runCount; i++) {
+          if (runStarts[i] === pdiIndex) {
+            return i
+          }
+        }
+      }
+    }
+    return -1
   }
+}
 
-  function determineAutoEmbedLevel (start, isFSI) {
-    // 3.3.1 P2 - P3
-    for (let i = start; i < string.length; i++) {
-      const charType = charTypes[i]
-      if (charType & (TYPE_R | TYPE_AL)) {
-        return 1
+function createTrace (length) {
+  const characters = new Array(length)
+  for (let i = 0; i < length; i++) {
+    characters[i] = { type: null, explicitLevel: 0, steps: [] }
+  }
+  return { characters, isolatingRunSequences: [] }
+}
+
+function traceType (trace, index, rule, type) {
+  trace.characters[index].steps.push({ rule, type: TYPES_TO_NAMES[type] })
+}
+
+function traceLevel (trace, index, rule, level) {
+  trace.characters[index].steps.push({ rule, level })
+}
+
+export function nextEven (n) {
+  return n + ((n & 1) ? 1 : 2)
+}
+
+export function nextOdd (n) {
+  return n + ((n & 1) ? 2 : 1)
+}
+
+/**
+ * Find the level of a paragraph or FSI from its first strong character, skipping over isolates.
+ * @param {Uint32Array} charTypes - the bidi types of the string's characters
+ * @param {number} strLen
+ * @param {number} start - index at which to start looking
+ * @param {boolean} isFSI - true to stop at the PDI matching an FSI
+ * @return {number} 0 or 1
+ */
+export function determineAutoEmbedLevel (charTypes, strLen, start, isFSI) {
+  return getFirstStrongLevel(charTypes, strLen, start, isFSI) === 1 ? 1 : 0
+}
+
+/**
+ * Like `determineAutoEmbedLevel`, but distinguishes text that has no strong characters.
+ * @return {number} 0 or 1, or -1 if there is no strong character
+ */
+export function getFirstStrongLevel (charTypes, strLen, start, isFSI) {
+  // 3.3.1 P2 - P3
+  for (let i = start; i < strLen; i++) {
+    const charType = charTypes[i]
+    if (charType & (TYPE_R | TYPE_AL)) {
+      return 1
+    }
+    if (charType & TYPE_L) {
+      return 0
+    }
+    if ((charType & TYPE_B) || (isFSI && charType === TYPE_PDI)) {
+      return -1
+    }
+    if (charType & ISOLATE_INIT_TYPES) {
+      const pdi = indexOfMatchingPDI(charTypes, strLen, i)
+      i = pdi === -1 ? strLen : pdi
+    }
+  }
+  return -1
+}
+
+/**
+ * Find the level implied by the last strong character of a paragraph, skipping over isolates as in P2.
+ * @param {Uint32Array} charTypes - the bidi types of the string's characters
+ * @param {number} strLen
+ * @param {number} start - index of the start of the paragraph
+ * @return {number} 0 or 1, or -1 if there is no strong character
+ */
+export function getLastStrongLevel (charTypes, strLen, start) {
+  let level = -1
+  for (let i = start; i < strLen; i++) {
+    const charType = charTypes[i]
+    if (charType & TYPE_B) {
+      break
+    }
+    if (charType & (TYPE_R | TYPE_AL)) {
+      level = 1
+    } else if (charType & TYPE_L) {
+      level = 0
+    } else if (charType & ISOLATE_INIT_TYPES) {
+      const pdi = indexOfMatchingPDI(charTypes, strLen, i)
+      i = pdi === -1 ? strLen : pdi
+    }
+  }
+  return level
+}
+
+function indexOfMatchingPDI (charTypes, strLen, isolateStart) {
+  // 3.1.2 BD9
+  let isolationLevel = 1
+  for (let i = isolateStart + 1; i < strLen; i++) {
+    const charType = charTypes[i]
+    if (charType & TYPE_B) {
+      break
+    }
+    if (charType & TYPE_PDI) {
+      if (--isolationLevel === 0) {
+        return i
       }
-      if ((charType & (TYPE_B | TYPE_L)) || (isFSI && charType === TYPE_PDI)) {
-        return 0
+    } else if (charType & ISOLATE_INIT_TYPES) {
+      isolationLevel++
+    }
+  }
+  return -1
+}
+
+/**
+ * Match up the explicit formatting characters of a paragraph just as rules X1-X8 do, including the handling of
+ * overflows past the maximum depth. Initiators that overflow don't change any levels, but are still matched with
+ * the terminator the rules count against them, and embeddings ignored within an overflowed isolate are matched
+ * with the PDI that ends it.
+ * @param {Uint32Array} charTypes - the bidi types of the string's characters
+ * @param {number} strLen
+ * @param {number} start - index of the first character of the paragraph
+ * @param {number} end - index of the last character of the paragraph
+ * @param {number} paragraphLevel
+ * @param {function(number, number, boolean)} onMatch - called with the index of each embedding, override, or
+ *        isolate initiator, the index of the PDF or PDI that terminates it or -1 if it's left open at the end of
+ *        the paragraph, and whether it overflowed. Those left open are passed last, innermost first.
+ * @param {function(number)} onUnmatched - called with the index of each PDF or PDI that terminates nothing
+ */
+export function matchExplicitFormatting (charTypes, strLen, start, end, paragraphLevel, onMatch, onUnmatched) {
+  // The directional status stack, holding the index of each entry's initiator, and separately the overflowed
+  // initiators in the order the rules would count them
+  const stackLevels = [paragraphLevel]
+  const stackOpeners = [-1]
+  const stackIsolates = [false]
+  const overflowOpeners = []
+  const overflowIsolates = []
+  let overflowIsolateCount = 0
+  let validIsolateCount = 0
+
+  for (let i = start; i <= end; i++) {
+    let charType = charTypes[i]
+    const topLevel = stackLevels[stackLevels.length - 1]
+
+    // X2-X5: Embeddings and overrides, counted as overflowed past the maximum depth, and ignored within an
+    // overflowed isolate
+    if (charType & (TYPE_RLE | TYPE_LRE | TYPE_RLO | TYPE_LRO)) {
+      const level = (charType & (TYPE_RLE | TYPE_RLO) ? nextOdd : nextEven)(topLevel)
+      if (level <= MAX_DEPTH && !overflowIsolateCount && !overflowOpeners.length) {
+        pushEntry(level, i, false)
+      } else {
+        overflowOpeners.push(i)
+        overflowIsolates.push(false)
       }
-      if (charType & ISOLATE_INIT_TYPES) {
-        const pdi = indexOfMatchingPDI(i)
-        i = pdi === -1 ? string.length : pdi
+    }
+
+    // X5a-X5c: Isolates
+    else if (charType & ISOLATE_INIT_TYPES) {
+      if (charType & TYPE_FSI) {
+        charType = determineAutoEmbedLevel(charTypes, strLen, i + 1, true) === 1 ? TYPE_RLI : TYPE_LRI
+      }
+      const level = (charType === TYPE_RLI ? nextOdd : nextEven)(topLevel)
+      if (level <= MAX_DEPTH && !overflowIsolateCount && !overflowOpeners.length) {
+        validIsolateCount++
+        pushEntry(level, i, true)
+      } else {
+        overflowIsolateCount++
+        overflowOpeners.push(i)
+        overflowIsolates.push(true)
       }
     }
-    return 0
-  }
 
-  function indexOfMatchingPDI (isolateStart) {
-    // 3.1.2 BD9
-    let isolationLevel = 1
-    for (let i = isolateStart + 1; i < string.length; i++) {
-      const charType = charTypes[i]
-      if (charType & TYPE_B) {
-        break
+    // X6a: Terminating isolates, along with any embeddings within them
+    else if (charType & TYPE_PDI) {
+      if (overflowIsolateCount) {
+        overflowIsolateCount--
+        while (!overflowIsolates.pop()) {
+          onMatch(overflowOpeners.pop(), i, true)
+        }
+        onMatch(overflowOpeners.pop(), i, true)
+      } else if (validIsolateCount) {
+        while (overflowOpeners.length) {
+          overflowIsolates.pop()
+          onMatch(overflowOpeners.pop(), i, true)
+        }
+        while (!stackIsolates[stackIsolates.length - 1]) {
+          popEntry(i)
+        }
+        popEntry(i)
+        validIsolateCount--
+      } else {
+        onUnmatched(i)
       }
-      if (charType & TYPE_PDI) {
-        if (--isolationLevel === 0) {
-          return i
+    }
+
+    // X7: Terminating embeddings and overrides; ignored within an overflowed isolate
+    else if (charType & TYPE_PDF) {
+      if (!overflowIsolateCount) {
+        if (overflowOpeners.length) {
+          overflowIsolates.pop()
+          onMatch(overflowOpeners.pop(), i, true)
+        } else if (!stackIsolates[stackIsolates.length - 1] && stackLevels.length > 1) {
+          popEntry(i)
+        } else {
+          onUnmatched(i)
         }
-      } else if (charType & ISOLATE_INIT_TYPES) {
-        isolationLevel++
       }
     }
-    return -1
+  }
+
+  // X8: Everything left open is terminated by the end of the paragraph
+  while (overflowOpeners.length) {
+    onMatch(overflowOpeners.pop(), -1, true)
+  }
+  while (stackLevels.length > 1) {
+    popEntry(-1)
+  }
+
+  function pushEntry (level, opener, isolate) {
+    stackLevels.push(level)
+    stackOpeners.push(opener)
+    stackIsolates.push(isolate)
+  }
+
+  function popEntry (terminator) {
+    stackLevels.pop()
+    stackIsolates.pop()
+    onMatch(stackOpeners.pop(), terminator, false)
+  }
+}
+
+/**
+ * Given the result of a previous `getEmbeddingLevels` call, produce the result for the same text after a single
+ * edit has been applied to it. Since paragraphs are resolved independently of one another, only the paragraph(s)
+ * touched by the edit are re-resolved; the levels and paragraph indices for everything else are just shifted.
+ * The returned result is identical to calling `getEmbeddingLevels` on the full edited text.
+ *
+ * Some inputs can't be updated incrementally, and the whole edited text is quietly re-resolved instead: a
+ * `baseDirection` given as an array or function (since an edit can change which paragraph index each direction
+ * applies to), the `ignoreRanges`, `markup`, and `trace` options, and a `previousResult` that doesn't match
+ * `string`'s length.
+ *
+ * @param {string} string - The full input string as it was *before* the edit
+ * @param {GetEmbeddingLevelsResult} previousResult - The result of getEmbeddingLevels for `string`
+ * @param {number} offset - Index in `string` where the edit starts
+ * @param {number} deletedLength - Number of characters removed from `string` at `offset`
+ * @param {string} insertedText - Text inserted at `offset` in place of the deleted characters
+ * @param {BaseDirection} [baseDirection] - Must be the same baseDirection used for `previousResult`
+ * @param {BidiOptions} [options] - Must be the same options used for `previousResult`, except that any
+ *        `ignoreRanges` must index into the edited string; its `levels` is ignored
+ * @return {GetEmbeddingLevelsResult}
+ */
+export function updateEmbeddingLevels (string, previousResult, offset, deletedLength, insertedText, baseDirection, options) {
+  // The levels are always stitched into a new array, so don't let a caller-provided one be overwritten
+  if (options && options.levels) {
+    options = { charTypeOverrides: options.charTypeOverrides }
+  }
+  const strLen = string.length
+  offset = Math.min(Math.max(0, +offset || 0), strLen)
+  deletedLength = Math.min(Math.max(0, +deletedLength || 0), strLen - offset)
+  insertedText = insertedText == null ? '' : '' + insertedText
+  const delta = insertedText.length - deletedLength
+  const { levels, paragraphs } = previousResult
+
+  // With nothing to shift we can't do better than a full resolution. The same goes for ignored ranges, which
+  // index into the full edited string, markup, whose tags may span paragraphs, traces, which cover it all, and
+  // per-paragraph directions, which are looked up by paragraph index.
+  if (
+    !paragraphs.length || levels.length !== strLen || typeof baseDirection === 'function' || Array.isArray(baseDirection) ||
+    (options && (options.ignoreRanges || options.markup || options.trace))
+  ) {
+    return getEmbeddingLevels(string.slice(0, offset) + insertedText + string.slice(offset + deletedLength), baseDirection, options)
+  }
+
+  // Find the range of paragraphs affected by the edit. The paragraph following the edit is included since
+  // deleting a paragraph separator merges it into the edited one.
+  let firstParaIdx = 0
+  let lastParaIdx = paragraphs.length - 1
+  for (let i = 0; i < paragraphs.length; i++) {
+    if (paragraphs[i].end >= Math.min(offset, strLen - 1)) {
+      firstParaIdx = i
+      break
+    }
+  }
+  for (let i = firstParaIdx; i < paragraphs.length; i++) {
+    if (paragraphs[i].end >= Math.min(offset + deletedLength, strLen - 1)) {
+      lastParaIdx = i
+      break
+    }
+  }
+  const regionStart = paragraphs[firstParaIdx].start
+  const regionEnd = paragraphs[lastParaIdx].end
+
+  // Re-resolve just that region; since it starts and ends on paragraph boundaries it resolves exactly as
+  // it would within the full string.
+  const regionResult = getEmbeddingLevels(
+    string.slice(regionStart, offset) + insertedText + string.slice(offset + deletedLength, regionEnd + 1),
+    baseDirection,
+    options
+  )
+
+  // Stitch together the untouched levels before and after the region, with the re-resolved region between
+  const newLevels = new Uint8Array(strLen + delta)
+  newLevels.set(levels.subarray(0, regionStart), 0)
+  newLevels.set(regionResult.levels, regionStart)
+  newLevels.set(levels.subarray(regionEnd + 1), regionEnd + 1 + delta)
+
+  const newParagraphs = []
+  for (let i = 0; i < firstParaIdx; i++) {
+    const { start, end, level, levelSource } = paragraphs[i]
+    newParagraphs.push({ start, end, level, levelSource })
+  }
+  regionResult.paragraphs.forEach(({ start, end, level, levelSource }) => {
+    newParagraphs.push({ start: start + regionStart, end: end + regionStart, level, levelSource })
+  })
+  for (let i = lastParaIdx + 1; i < paragraphs.length; i++) {
+    const { start, end, level, levelSource } = paragraphs[i]
+    newParagraphs.push({ start: start + delta, end: end + delta, level, levelSource })
+  }
+
+  return {
+    levels: newLevels,
+    paragraphs: newParagraphs
   }
 }
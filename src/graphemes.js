@@ -0,0 +1,112 @@
+import { createRangeLookup } from './util/rangeLookup.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+import { getUnicodeData } from './unicodeData.js'
+
+const CLASSES = {}
+;[
+  'Other', 'CR', 'LF', 'Control', 'Extend', 'ZWJ', 'Regional_Indicator', 'Prepend', 'SpacingMark', 'L', 'V', 'T',
+  'LV', 'LVT'
+].forEach((name, i) => {
+  CLASSES[name] = i && 1 << (i - 1) //Other is 0, the default
+})
+
+const {
+  CR, LF, Control, Extend, ZWJ, Regional_Indicator, Prepend, SpacingMark, L, V, T, LV, LVT
+} = CLASSES
+
+const BREAK_AFTER_CLASSES = Control | CR | LF
+const HANGUL_SYLLABLES_START = 0xAC00
+const HANGUL_SYLLABLES_END = 0xD7A3
+
+let lookups = null
+let segmenter = null
+
+/**
+ * Get the lookup functions for the grapheme break data, rebuilding them if the Unicode data set has changed.
+ */
+function getLookups () {
+  const data = getUnicodeData().graphemeBreak
+  if (!lookups || lookups._data !== data) {
+    lookups = {
+      _data: data,
+      _getClass: createRangeLookup(data.classes, name => CLASSES[name], 0),
+      _isExtendedPictographic: createRangeLookup({ pict: data.extendedPictographic }, () => 1, 0)
+    }
+  }
+  return lookups
+}
+
+function getGraphemeClusterBreak (codePoint, getClass) {
+  if (codePoint >= HANGUL_SYLLABLES_START && codePoint <= HANGUL_SYLLABLES_END) {
+    return (codePoint - HANGUL_SYLLABLES_START) % 28 ? LVT : LV
+  }
+  return getClass(codePoint)
+}
+
+/**
+ * Split a range of a string into its extended grapheme clusters, per the Unicode Text Segmentation algorithm
+ * (https://www.unicode.org/reports/tr29/). This uses `Intl.Segmenter` where it's available, and otherwise
+ * applies the rules using the Unicode data set in use.
+ * @param {string} string
+ * @param {number} start - first character of the range
+ * @param {number} end - last character of the range, inclusive
+ * @return {number[][]} - inclusive [start, end] ranges of each cluster, in order
+ */
+export function getGraphemeClusters (string, start, end) {
+  const clusters = []
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    if (!segmenter) {
+      segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    }
+    const iterator = segmenter.segment(string.slice(start, end + 1))[Symbol.iterator]()
+    for (let step = iterator.next(); !step.done; step = iterator.next()) {
+      const clusterStart = start + step.value.index
+      clusters.push([clusterStart, clusterStart + step.value.segment.length - 1])
+    }
+    return clusters
+  }
+
+  const { _getClass: getClass, _isExtendedPictographic: isExtendedPictographic } = getLookups()
+  let clusterStart = start
+  let prev = 0
+  let riCount = 0 //number of consecutive regional indicators before the current char, for GB12-13
+  let pictState = 0 //for GB11: 1 = after ExtPict Extend*, 2 = after ExtPict Extend* ZWJ
+  for (let i = start; i <= end; i++) {
+    if (isTrailingSurrogate(string, i)) {
+      continue
+    }
+    const codePoint = string.codePointAt(i)
+    const cls = getGraphemeClusterBreak(codePoint, getClass)
+    const pict = isExtendedPictographic(codePoint)
+    if (i > start && isGraphemeClusterBoundary(prev, cls, riCount, pictState === 2 && pict)) {
+      clusters.push([clusterStart, i - 1])
+      clusterStart = i
+    }
+    riCount = cls === Regional_Indicator ? riCount + 1 : 0
+    pictState = pict ? 1 : pictState === 1 && cls === Extend ? 1 : pictState === 1 && cls === ZWJ ? 2 : 0
+    prev = cls
+  }
+  if (end >= start) {
+    clusters.push([clusterStart, end])
+  }
+  return clusters
+}
+
+function isGraphemeClusterBoundary (prev, cls, riCount, isPictAfterZwj) {
+  // GB3: CR × LF
+  if (prev === CR && cls === LF) return false
+  // GB4-5: Break after and before controls
+  if ((prev | cls) & BREAK_AFTER_CLASSES) return true
+  // GB6-8: Don't break Hangul syllable sequences
+  if (prev === L && (cls & (L | V | LV | LVT))) return false
+  if ((prev & (LV | V)) && (cls & (V | T))) return false
+  if ((prev & (LVT | T)) && cls === T) return false
+  // GB9-9b: Don't break before extending characters or spacing marks, or after prepended characters
+  if ((cls & (Extend | ZWJ | SpacingMark)) || prev === Prepend) return false
+  // GB11: Don't break within emoji ZWJ sequences
+  if (isPictAfterZwj) return false
+  // GB12-13: Don't break within pairs of regional indicators
+  if (prev === Regional_Indicator && cls === Regional_Indicator && (riCount & 1)) return false
+  // GB999
+  return true
+}
@@ -0,0 +1,76 @@
+import { getLineLevels, getVisualIndices } from './reordering.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+
+/**
+ * Given the advance widths of each character, get the x offset of each character in a line after reordering,
+ * measured from the left edge of the line to the left edge of the character.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {ArrayLike<number>} advances - the advance width of each character, indexed the same as `string`
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {number[]} - the x offset of each character in the line, where index 0 corresponds to `start`
+ */
+export function getCharacterXOffsets (string, embeddingLevelsResult, advances, start, end, options) {
+  let strLen = string.length
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+
+  const indices = getVisualIndices(string, embeddingLevelsResult, start, end, options)
+  const xOffsets = []
+  let x = 0
+  for (let i = start; i <= end; i++) {
+    xOffsets[indices[i] - start] = x
+    x += advances[indices[i]] || 0
+  }
+  return xOffsets
+}
+
+/**
+ * @typedef {object} CharacterHit
+ * @property {number} index - the index of the character that was hit
+ * @property {boolean} trailing - true if the hit was on the trailing half of the character (its right half if
+ *           it is left-to-right, or its left half if right-to-left), in which case a caret placed there would go
+ *           after the character rather than before it.
+ */
+
+/**
+ * Given the advance widths of each character, find the character in a line that is displayed at a given x
+ * coordinate after reordering, measured from the left edge of the line. Coordinates beyond either end of
+ * the line will hit the outside edge of the character at that end.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {ArrayLike<number>} advances - the advance width of each character, indexed the same as `string`
+ * @param {number} x - the x coordinate to hit test, relative to the left edge of the line
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {CharacterHit|null} - the hit character, or `null` if the line is empty
+ */
+export function getCharacterAtX (string, embeddingLevelsResult, advances, x, start, end, options) {
+  let strLen = string.length
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+
+  const levels = getLineLevels(string, embeddingLevelsResult, start, end, options)
+  const indices = getVisualIndices(string, embeddingLevelsResult, start, end, options)
+  let charLeft = 0
+  for (let i = start; i <= end; i++) {
+    // Surrogate pairs are kept in logical order when reordered, so the pair's trailing half follows it visually
+    let charIndex = indices[i]
+    let advance = advances[charIndex] || 0
+    if (i < end && isTrailingSurrogate(string, indices[i + 1])) {
+      advance += advances[indices[++i]] || 0
+    }
+    if (x < charLeft + advance || i === end) {
+      const inLeftHalf = x < charLeft + advance / 2
+      return {
+        index: charIndex,
+        trailing: (levels[charIndex - start] & 1) ? inLeftHalf : !inLeftHalf
+      }
+    }
+    charLeft += advance
+  }
+  return null
+}
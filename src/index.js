@@ -1,5 +1,16 @@
-export { getEmbeddingLevels } from './embeddingLevels.js'
-export { getReorderSegments, getReorderedIndices, getReorderedString } from './reordering.js'
+export { getEmbeddingLevels, updateEmbeddingLevels } from './embeddingLevels.js'
+export { getReorderSegments, getReorderedIndices, getReorderedString, getSelectionVisualRanges, getVisualRuns } from './reordering.js'
 export { getBidiCharType, getBidiCharTypeName } from './charTypes.js'
-export { getMirroredCharacter, getMirroredCharactersMap } from './mirroring.js'
+export { getMirroredCharacter, getMirroredCharactersMap, isBidiMirrored } from './mirroring.js'
 export { closingToOpeningBracket, openingToClosingBracket, getCanonicalBracket } from './brackets.js'
+export { getLineBreakOpportunities } from './lineBreaking.js'
+export { getWrappedLines } from './lineLayout.js'
+export { getCaretVisualIndex, moveCaretVisually, moveCaretByWordVisually } from './caret.js'
+export { getCharacterXOffsets, getCharacterAtX } from './hitTesting.js'
+export { getUnicodeVersion, setUnicodeData } from './unicodeData.js'
+export { getBidiSpoofingFindings } from './spoofing.js'
+export { balanceBidiFormatting } from './balancing.js'
+export { createBidiFormatter } from './bidiFormatter.js'
+export { getBaseDirection } from './baseDirection.js'
+export { getJoiningType, getJoiningGroup, getJoiningForms } from './joining.js'
+export { getDisplayWidth, getTerminalLines } from './terminal.js'
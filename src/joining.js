@@ -0,0 +1,129 @@
+import { createRangeLookup } from './util/rangeLookup.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+import { getUnicodeData } from './unicodeData.js'
+
+const JOINING_TYPES = {}
+;['U', 'R', 'L', 'D', 'C', 'T'].forEach((name, i) => {
+  JOINING_TYPES[name] = 1 << i
+})
+const TYPES_TO_NAMES = {}
+for (const name in JOINING_TYPES) {
+  TYPES_TO_NAMES[JOINING_TYPES[name]] = name
+}
+
+const { U, R, L, D, C, T } = JOINING_TYPES
+
+// Types that connect to the preceding character (on its right side in right-to-left text), and to the following
+const JOINS_PRECEDING_TYPES = R | D | C
+const JOINS_FOLLOWING_TYPES = L | D | C
+
+const JOINED_PRECEDING = 1
+const JOINED_FOLLOWING = 2
+const FORMS = ['isolated', 'final', 'initial', 'medial']
+
+let lookups = null
+
+/**
+ * Get the lookup functions for the joining data, rebuilding them if the Unicode data set has changed.
+ */
+function getLookups () {
+  const data = getUnicodeData().arabicJoining
+  if (!lookups || lookups._data !== data) {
+    const groupNames = Object.keys(data.groups)
+    lookups = {
+      _data: data,
+      _groupNames: groupNames,
+      _getType: createRangeLookup(data.types, name => JOINING_TYPES[name], U),
+      _getGroup: createRangeLookup(data.groups, name => groupNames.indexOf(name) + 1, 0)
+    }
+  }
+  return lookups
+}
+
+/**
+ * Get the Joining_Type of a character: "U" (non-joining), "R" (right-joining), "L" (left-joining), "D" (dual-joining),
+ * "C" (join-causing, e.g. ZWJ and tatweel), or "T" (transparent, e.g. combining marks).
+ * @param {string} char
+ * @return {"U"|"R"|"L"|"D"|"C"|"T"}
+ */
+export function getJoiningType (char) {
+  return TYPES_TO_NAMES[getLookups()._getType(char.codePointAt(0))]
+}
+
+/**
+ * Get the Joining_Group of a character, e.g. "LAM" or "FARSI_YEH", with spaces replaced by underscores.
+ * @param {string} char
+ * @return {string|null} - null for characters with no joining group
+ */
+export function getJoiningGroup (char) {
+  const { _getGroup: getGroup, _groupNames: groupNames } = getLookups()
+  return groupNames[getGroup(char.codePointAt(0)) - 1] || null
+}
+
+/**
+ * @typedef {object} JoiningFormsResult
+ * @property {Array<"isolated"|"initial"|"medial"|"final"|null>} forms - the contextual form of the character at
+ *           each index of the string. This is null for characters without contextual forms: non-joining,
+ *           transparent, and join-causing ones, trailing surrogates, and those outside the `start`-`end` range.
+ * @property {number[][]} lamAlefLigatures - [lamIndex, alefIndex] pairs of a lam joined to a following alef,
+ *           possibly with transparent characters between them, to be drawn as a single ligature glyph. The
+ *           ligature takes its final form if the lam's form is medial, and its isolated form otherwise.
+ */
+
+/**
+ * Given a string and its resolved embedding levels, determine the contextual form of each cursively joining
+ * character, for renderers drawing Arabic and similar scripts without a shaping engine. Characters join in
+ * logical order, according to their Joining_Type, skipping over transparent characters such as combining
+ * marks. Only characters at the same embedding level join, since they are drawn in separate runs otherwise.
+ *
+ * @param {string} string
+ * @param {GetEmbeddingLevelsResult} embeddingLevels - the result object from getEmbeddingLevels
+ * @param {number} [start] - first character to process; characters outside the range are not joined to, so
+ *        a range can be given per line
+ * @param {number} [end] - last character to process, inclusive
+ * @return {JoiningFormsResult}
+ */
+export function getJoiningForms (string, embeddingLevels, start, end) {
+  const strLen = string.length
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+
+  const { _getType: getType, _getGroup: getGroup, _groupNames: groupNames } = getLookups()
+  const levels = embeddingLevels.levels
+  const joinedSides = new Uint8Array(strLen)
+  const types = new Uint8Array(strLen)
+  const lamAlefLigatures = []
+  const lamGroup = groupNames.indexOf('LAM') + 1
+  const alefGroup = groupNames.indexOf('ALEF') + 1
+
+  let prevIndex = -1 //index of the previous non-transparent character
+  for (let i = start; i <= end; i++) {
+    if (isTrailingSurrogate(string, i)) {
+      continue
+    }
+    const codePoint = string.codePointAt(i)
+    const type = types[i] = getType(codePoint)
+    if (type === T) {
+      continue
+    }
+    if (
+      prevIndex !== -1 &&
+      (type & JOINS_PRECEDING_TYPES) &&
+      (types[prevIndex] & JOINS_FOLLOWING_TYPES) &&
+      levels[i] === levels[prevIndex]
+    ) {
+      joinedSides[prevIndex] |= JOINED_FOLLOWING
+      joinedSides[i] |= JOINED_PRECEDING
+      if (lamGroup && alefGroup && getGroup(codePoint) === alefGroup && getGroup(string.codePointAt(prevIndex)) === lamGroup) {
+        lamAlefLigatures.push([prevIndex, i])
+      }
+    }
+    prevIndex = i
+  }
+
+  const forms = new Array(strLen)
+  for (let i = 0; i < strLen; i++) {
+    forms[i] = (types[i] & (R | L | D)) ? FORMS[joinedSides[i]] : null
+  }
+  return { forms, lamAlefLigatures }
+}
@@ -0,0 +1,213 @@
+import { createRangeLookup } from './util/rangeLookup.js'
+import { getUnicodeData } from './unicodeData.js'
+
+const CLASSES = {}
+;[
+  'AL', //AL is the default, also covering AI, SG, XX, and non-mark SA (LB1)
+  'BK', 'CR', 'LF', 'NL', 'CM', 'ZWJ', 'SP', 'ZW', 'WJ', 'GL', 'BA', 'BB', 'B2', 'HY', 'CB', 'CL', 'CP', 'EX', 'IN',
+  'NS', 'OP', 'QU', 'IS', 'NU', 'PO', 'PR', 'SY', 'EB', 'EM', 'H2', 'H3', 'HL', 'ID', 'JL', 'JV', 'JT', 'RI'
+].forEach((name, i) => {
+  CLASSES[name] = i
+})
+
+const {
+  AL, BK, CR, LF, NL, CM, ZWJ, SP, ZW, WJ, GL, BA, BB, B2, HY, CB, CL, CP, EX, IN,
+  NS, OP, QU, IS, NU, PO, PR, SY, EB, EM, H2, H3, HL, ID, JL, JV, JT, RI
+} = CLASSES
+
+let lookups = null
+
+/**
+ * Get the lookup functions for the line breaking data, rebuilding them if the Unicode data set has changed.
+ */
+function getLookups () {
+  const data = getUnicodeData().lineBreakClasses
+  if (!lookups || lookups._data !== data) {
+    lookups = {
+      _data: data,
+      _getClass: createRangeLookup(data.classes, name => CLASSES[name], AL),
+      _isEastAsianWide: createRangeLookup({ wide: data.eastAsianWide }, () => 1, 0),
+      _isUnassignedPictographic: createRangeLookup({ pict: data.unassignedPictographic }, () => 1, 0)
+    }
+  }
+  return lookups
+}
+
+const NO_BREAK = 0
+const ALLOWED_BREAK = 1
+const REQUIRED_BREAK = 2
+
+/**
+ * @typedef {object} LineBreakOpportunity
+ * @property {number} index - the index of the character before which the line can be broken
+ * @property {boolean} required - true if the line _must_ be broken here, e.g. following a newline character
+ */
+
+/**
+ * Find all the places where a string can be broken onto a new line, according to the default
+ * rules of the Unicode Line Breaking Algorithm (https://www.unicode.org/reports/tr14/), using
+ * the numbers tailoring from its Example 7.
+ *
+ * A break is never given at the start of the text, and always given at its end (LB2, LB3).
+ *
+ * @param {string} string - The input string
+ * @return {LineBreakOpportunity[]} - the list of break opportunities, in order
+ */
+export function getLineBreakOpportunities (string) {
+  const { _getClass: getClass, _isEastAsianWide: isEastAsianWide, _isUnassignedPictographic: isUnassignedPictographic } = getLookups()
+  const breaks = []
+
+  let prevRaw = -1 //actual class of the previous char
+  let prev = -1 //class of the previous char, after treating combining marks per LB9-10
+  let prevPrev = -1 //the class before `prev`, for LB21a
+  let beforeSpaces = -1 //class of the last non-space char, for rules with "SP*"
+  let prevWide = false
+  let prevPictographic = false
+  let riCount = 0 //number of consecutive regional indicators, for LB30a
+  let numberState = 0 //for LB25: 1 = in a NU (NU|SY|IS)* sequence, 2 = following that with CL|CP
+
+  for (let i = 0; i < string.length; i++) {
+    const codePoint = string.codePointAt(i)
+    const charLength = codePoint > 0xFFFF ? 2 : 1
+    const raw = getClass(codePoint)
+
+    // LB9: Treat X (CM | ZWJ)* as X, where X is not a break or space char
+    const absorbed = i > 0 && (raw === CM || raw === ZWJ) &&
+      prev !== BK && prev !== CR && prev !== LF && prev !== NL && prev !== SP && prev !== ZW
+    // LB10: Treat any remaining CM or ZWJ as AL
+    const cls = (raw === CM || raw === ZWJ) ? AL : raw
+
+    if (i > 0) {
+      const breakType = absorbed ? NO_BREAK : getBreakType(codePoint, raw, cls, i + charLength)
+      if (breakType !== NO_BREAK) {
+        breaks.push({
+          index: i,
+          required: breakType === REQUIRED_BREAK
+        })
+      }
+    }
+
+    prevRaw = raw
+    if (!absorbed) {
+      prevPrev = prev
+      prev = cls
+      if (cls !== SP) {
+        beforeSpaces = cls
+      }
+      prevWide = !!isEastAsianWide(codePoint)
+      prevPictographic = !!isUnassignedPictographic(codePoint)
+      riCount = cls === RI ? riCount + 1 : 0
+      numberState = cls === NU ? 1
+        : numberState === 1 && (cls === SY || cls === IS) ? 1
+        : numberState === 1 && (cls === CL || cls === CP) ? 2
+        : 0
+    }
+
+    i += charLength - 1
+  }
+
+  // LB3: Always break at the end of text
+  if (string.length) {
+    breaks.push({
+      index: string.length,
+      required: true
+    })
+  }
+
+  return breaks
+
+  function getBreakType (codePoint, raw, cls, nextIndex) {
+    // LB4: Always break after hard line breaks
+    if (prev === BK) return REQUIRED_BREAK
+    // LB5: Treat CR followed by LF, as well as CR, LF, and NL as hard line breaks
+    if (prev === CR) return raw === LF ? NO_BREAK : REQUIRED_BREAK
+    if (prev === LF || prev === NL) return REQUIRED_BREAK
+    // LB6: Do not break before hard line breaks
+    if (raw === BK || raw === CR || raw === LF || raw === NL) return NO_BREAK
+    // LB7: Do not break before spaces or zero width space
+    if (raw === SP || raw === ZW) return NO_BREAK
+    // LB8: Break before any character following a zero-width space, even if one or more spaces intervene
+    if (beforeSpaces === ZW) return ALLOWED_BREAK
+    // LB8a: Do not break after a zero width joiner
+    if (prevRaw === ZWJ) return NO_BREAK
+    // LB11: Do not break before or after Word joiner and related characters
+    if (cls === WJ || prev === WJ) return NO_BREAK
+    // LB12: Do not break after NBSP and related characters
+    if (prev === GL) return NO_BREAK
+    // LB12a: Do not break before NBSP and related characters, except after spaces and hyphens
+    if (cls === GL && prev !== SP && prev !== BA && prev !== HY) return NO_BREAK
+    // LB13: Do not break before ']' or '!' or ';' or '/', even after spaces
+    if (cls === CL || cls === CP || cls === EX || cls === IS || cls === SY) return NO_BREAK
+    // LB14: Do not break after '[', even after spaces
+    if (beforeSpaces === OP) return NO_BREAK
+    // LB15: Do not break within '"[', even with intervening spaces
+    if (beforeSpaces === QU && cls === OP) return NO_BREAK
+    // LB16: Do not break between closing punctuation and a nonstarter, even with intervening spaces
+    if ((beforeSpaces === CL || beforeSpaces === CP) && cls === NS) return NO_BREAK
+    // LB17: Do not break within '——', even with intervening spaces
+    if (beforeSpaces === B2 && cls === B2) return NO_BREAK
+    // LB18: Break after spaces
+    if (prev === SP) return ALLOWED_BREAK
+    // LB19: Do not break before or after quotation marks
+    if (cls === QU || prev === QU) return NO_BREAK
+    // LB20: Break before and after unresolved CB
+    if (cls === CB || prev === CB) return ALLOWED_BREAK
+    // LB21: Do not break before hyphen-minus, other hyphens, fixed-width spaces, small kana, and other
+    // non-starters, or after acute accents
+    if (cls === BA || cls === HY || cls === NS || prev === BB) return NO_BREAK
+    // LB21a: Don't break after Hebrew + Hyphen
+    if (prevPrev === HL && (prev === HY || prev === BA)) return NO_BREAK
+    // LB21b: Don't break between Solidus and Hebrew letters
+    if (prev === SY && cls === HL) return NO_BREAK
+    // LB22: Do not break before ellipses
+    if (cls === IN) return NO_BREAK
+    // LB23: Do not break between digits and letters
+    if ((prev === AL || prev === HL) && cls === NU) return NO_BREAK
+    if (prev === NU && (cls === AL || cls === HL)) return NO_BREAK
+    // LB23a: Do not break between numeric prefixes and ideographs, or between ideographs and numeric postfixes
+    if (prev === PR && (cls === ID || cls === EB || cls === EM)) return NO_BREAK
+    if ((prev === ID || prev === EB || prev === EM) && cls === PO) return NO_BREAK
+    // LB24: Do not break between numeric prefix/postfix and letters, or between letters and prefix/postfix
+    if ((prev === PR || prev === PO) && (cls === AL || cls === HL)) return NO_BREAK
+    if ((prev === AL || prev === HL) && (cls === PR || cls === PO)) return NO_BREAK
+    // LB25: Do not break between the following pairs of classes relevant to numbers, as tailored by Example 7:
+    // (PR | PO) × ( OP | HY )? NU
+    if ((prev === PR || prev === PO) && (cls === NU || ((cls === OP || cls === HY) && getNextClass(nextIndex) === NU))) return NO_BREAK
+    // ( OP | HY ) × NU
+    if ((prev === OP || prev === HY) && cls === NU) return NO_BREAK
+    // NU (NU | SY | IS)* × (NU | SY | IS | CL | CP)
+    if (numberState === 1 && (cls === NU || cls === SY || cls === IS || cls === CL || cls === CP)) return NO_BREAK
+    // NU (NU | SY | IS)* (CL | CP)? × (PO | PR)
+    if (numberState && (cls === PO || cls === PR)) return NO_BREAK
+    // LB26: Do not break a Korean syllable
+    if (prev === JL && (cls === JL || cls === JV || cls === H2 || cls === H3)) return NO_BREAK
+    if ((prev === JV || prev === H2) && (cls === JV || cls === JT)) return NO_BREAK
+    if ((prev === JT || prev === H3) && cls === JT) return NO_BREAK
+    // LB27: Treat a Korean Syllable Block the same as ID
+    if ((prev === JL || prev === JV || prev === JT || prev === H2 || prev === H3) && cls === PO) return NO_BREAK
+    if (prev === PR && (cls === JL || cls === JV || cls === JT || cls === H2 || cls === H3)) return NO_BREAK
+    // LB28: Do not break between alphabetics
+    if ((prev === AL || prev === HL) && (cls === AL || cls === HL)) return NO_BREAK
+    // LB29: Do not break between numeric punctuation and alphabetics
+    if (prev === IS && (cls === AL || cls === HL)) return NO_BREAK
+    // LB30: Do not break between letters, numbers, or ordinary symbols and non-East-Asian opening or closing
+    // punctuation
+    if ((prev === AL || prev === HL || prev === NU) && cls === OP && !isEastAsianWide(codePoint)) return NO_BREAK
+    if (prev === CP && !prevWide && (cls === AL || cls === HL || cls === NU)) return NO_BREAK
+    // LB30a: Break between two regional indicator symbols if and only if there are an even number of regional
+    // indicators preceding the position of the break
+    if (prev === RI && cls === RI && (riCount & 1)) return NO_BREAK
+    // LB30b: Do not break between an emoji base (or potential emoji) and an emoji modifier
+    if (cls === EM && (prev === EB || prevPictographic)) return NO_BREAK
+    // LB31: Break everywhere else
+    return ALLOWED_BREAK
+  }
+
+  function getNextClass (index) {
+    if (index < string.length) {
+      const cls = getClass(string.codePointAt(index))
+      return (cls === CM || cls === ZWJ) ? AL : cls
+    }
+    return -1
+  }
+}
@@ -0,0 +1,74 @@
+import { getLineBreakOpportunities } from './lineBreaking.js'
+import { getReorderSegments } from './reordering.js'
+import { getMirroredCharactersMap } from './mirroring.js'
+import { getBidiCharTypeAt, TRAILING_TYPES } from './charTypes.js'
+
+/**
+ * @typedef {object} WrappedLine
+ * @property {number} start - index of the line's first character
+ * @property {number} end - index of the line's last character, inclusive; this includes any trailing whitespace
+ * @property {number} width - the measured width of the line, not counting trailing whitespace
+ * @property {number[][]} segments - the line's reorder segments, as from getReorderSegments
+ * @property {Map<number, string>} mirrored - the line's mirrored characters, as from getMirroredCharactersMap
+ */
+
+/**
+ * Wrap a string into lines no wider than a given maximum width, breaking only at the opportunities given by
+ * getLineBreakOpportunities, and compute the bidi reordering and mirroring for each resulting line.
+ *
+ * Lines are filled greedily. Trailing whitespace at the end of a line is allowed to hang past the maximum
+ * width, and a single unbreakable run that is wider than the maximum is left to overflow its own line.
+ *
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {function(string): number} measureWidth - a function returning the width of a given substring
+ * @param {number} maxWidth - the maximum width of a line, in the same units returned by `measureWidth`
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {WrappedLine[]}
+ */
+export function getWrappedLines (string, embeddingLevelsResult, measureWidth, maxWidth, options) {
+  const charTypeOverrides = options && options.charTypeOverrides
+  const lines = []
+  let lineStart = 0
+  let lineWidth = 0 //including trailing whitespace
+  let lineContentWidth = 0 //excluding trailing whitespace
+  let pieceStart = 0
+
+  getLineBreakOpportunities(string).forEach(({ index, required }) => {
+    // Measure the unbreakable piece up to this opportunity, separating out its trailing whitespace
+    let contentEnd = index
+    while (contentEnd > pieceStart && (getBidiCharTypeAt(string, contentEnd - 1, charTypeOverrides) & TRAILING_TYPES)) {
+      contentEnd--
+    }
+    const contentWidth = contentEnd > pieceStart ? measureWidth(string.slice(pieceStart, contentEnd)) : 0
+
+    // Wrap before the piece if it won't fit, unless it's the first on its line
+    if (pieceStart > lineStart && contentEnd > pieceStart && lineWidth + contentWidth > maxWidth) {
+      addLine(pieceStart - 1)
+    }
+
+    if (contentEnd > pieceStart) {
+      lineContentWidth = lineWidth + contentWidth
+    }
+    lineWidth += contentWidth + (index > contentEnd ? measureWidth(string.slice(contentEnd, index)) : 0)
+    pieceStart = index
+
+    if (required) {
+      addLine(index - 1)
+    }
+  })
+
+  return lines
+
+  function addLine (end) {
+    lines.push({
+      start: lineStart,
+      end,
+      width: lineContentWidth,
+      segments: getReorderSegments(string, embeddingLevelsResult, lineStart, end, options),
+      mirrored: getMirroredCharactersMap(string, embeddingLevelsResult.levels, lineStart, end)
+    })
+    lineStart = end + 1
+    lineWidth = lineContentWidth = 0
+  }
+}
@@ -0,0 +1,110 @@
+const CHAR_REFERENCE_REGEX = /^&(?:#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);$/i
+const MAX_CHAR_REFERENCE_LENGTH = 40
+
+/**
+ * Get the ranges of a string to be ignored by the bidi algorithm, as given by the `ignoreRanges` and `markup`
+ * options, sorted and with overlapping or adjacent ranges merged.
+ * @param {string} string
+ * @param {BidiOptions} [options]
+ * @return {number[][]|null} - inclusive [start, end] ranges, or null if nothing is ignored
+ */
+export function getIgnoredRanges (string, options) {
+  let ranges = []
+  if (options && options.ignoreRanges) {
+    options.ignoreRanges.forEach(([start, end]) => {
+      start = Math.max(0, +start)
+      end = Math.min(string.length - 1, +end)
+      if (end >= start) {
+        ranges.push([start, end])
+      }
+    })
+  }
+  if (options && options.markup) {
+    if (options.markup !== 'html') {
+      throw new Error(`Unknown markup type: ${options.markup}`)
+    }
+    ranges = ranges.concat(getHtmlMarkupRanges(string))
+  }
+  if (!ranges.length) {
+    return null
+  }
+  ranges.sort((a, b) => a[0] - b[0])
+  const merged = [ranges[0]]
+  for (let i = 1; i < ranges.length; i++) {
+    const last = merged[merged.length - 1]
+    if (ranges[i][0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], ranges[i][1])
+    } else {
+      merged.push(ranges[i])
+    }
+  }
+  return merged
+}
+
+/**
+ * Determine whether an index falls within one of a sorted list of ranges from getIgnoredRanges.
+ * @param {number[][]} ranges
+ * @param {number} index
+ * @return {boolean}
+ */
+export function isIndexInRanges (ranges, index) {
+  let low = 0
+  let high = ranges.length - 1
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (index < ranges[mid][0]) {
+      high = mid - 1
+    } else if (index > ranges[mid][1]) {
+      low = mid + 1
+    } else {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Find the tags, comments, and character references in HTML or XML. A `<` only starts a tag when followed by
+ * a letter, `/`, `!`, or `?`, and the tag must be closed by a `>` outside of any quoted attribute value;
+ * otherwise it's left as text. An unterminated comment extends to the end of the string.
+ */
+function getHtmlMarkupRanges (string) {
+  const ranges = []
+  for (let i = 0; i < string.length; i++) {
+    const char = string[i]
+    if (char === '<') {
+      if (string.substr(i, 4) === '<!--') {
+        const close = string.indexOf('-->', i + 4)
+        const end = close === -1 ? string.length - 1 : close + 2
+        ranges.push([i, end])
+        i = end
+      } else if (/[a-z\/!?]/i.test(string[i + 1] || '')) {
+        let quote = null
+        let j = i + 1
+        for (; j < string.length; j++) {
+          const c = string[j]
+          if (quote) {
+            if (c === quote) {
+              quote = null
+            }
+          } else if (c === '"' || c === '\'') {
+            quote = c
+          } else if (c === '>') {
+            break
+          }
+        }
+        if (j < string.length) {
+          ranges.push([i, j])
+          i = j
+        }
+      }
+    } else if (char === '&') {
+      const length = string.substr(i, MAX_CHAR_REFERENCE_LENGTH).indexOf(';') + 1
+      if (length && CHAR_REFERENCE_REGEX.test(string.substr(i, length))) {
+        ranges.push([i, i + length - 1])
+        i += length - 1
+      }
+    }
+  }
+  return ranges
+}
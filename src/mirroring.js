@@ -1,46 +1,75 @@
-import data from './data/bidiMirroring.data.js'
 import { parseCharacterMap } from './util/parseCharacterMap.js'
+import { createRangeLookup } from './util/rangeLookup.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+import { getUnicodeData } from './unicodeData.js'
 
-let mirrorMap
+let mirrorMap, parsedData
+let mirroredLookup, parsedMirroredData
 
 function parse () {
-  if (!mirrorMap) {
+  const data = getUnicodeData().bidiMirroring
+  if (data !== parsedData) {
     //const start = performance.now()
+    parsedData = data
     const { map, reverseMap } = parseCharacterMap(data, true)
-    // Combine both maps into one
-    reverseMap.forEach((value, key) => {
-      map.set(key, value)
-    })
-    mirrorMap = map
+    // Combine both maps into one, with the reverse mappings taking precedence
+    mirrorMap = char => reverseMap(char) || map(char)
     //console.log(`mirrored chars parsed in ${performance.now() - start}ms`)
   }
 }
 
 export function getMirroredCharacter (char) {
   parse()
-  return mirrorMap.get(char) || null
+  return mirrorMap(char)
+}
+
+/**
+ * Determine whether a character has the Bidi_Mirrored property, meaning it should be displayed mirrored when its
+ * resolved direction is right-to-left (rule L4). This is true for all characters with a mirroring counterpart
+ * from `getMirroredCharacter`, and also for some without one, like N-ARY SUMMATION (U+2211), whose glyphs must be
+ * flipped instead.
+ * @param {string} char
+ * @return {boolean}
+ */
+export function isBidiMirrored (char) {
+  const data = getUnicodeData().bidiMirrored
+  if (data !== parsedMirroredData) {
+    parsedMirroredData = data
+    mirroredLookup = createRangeLookup({ mirrored: data }, () => 1, 0)
+  }
+  return mirroredLookup(char.codePointAt(0)) === 1
 }
 
 /**
  * Given a string and its resolved embedding levels, build a map of indices to replacement chars
  * for any characters in right-to-left segments that have defined mirrored characters.
+ *
+ * Right-to-left characters that have the Bidi_Mirrored property but no mirrored character to replace them with
+ * are listed in the map's `flippedIndices` property instead, in ascending order; their glyphs should be flipped
+ * horizontally when drawn.
  * @param string
- * @param embeddingLevels
+ * @param {GetEmbeddingLevelsResult|Uint8Array} embeddingLevels - the result object from getEmbeddingLevels, or
+ *        just its `levels` array
  * @param [start]
  * @param [end]
- * @return {Map<number, string>}
+ * @return {Map<number, string>} - with an added `flippedIndices` array property
  */
 export function getMirroredCharactersMap(string, embeddingLevels, start, end) {
   let strLen = string.length
   start = Math.max(0, start == null ? 0 : +start)
   end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+  const levels = embeddingLevels.levels || embeddingLevels
 
   const map = new Map()
+  map.flippedIndices = []
   for (let i = start; i <= end; i++) {
-    if (embeddingLevels[i] & 1) { //only odd (rtl) levels
-      const mirror = getMirroredCharacter(string[i])
+    if ((levels[i] & 1) && !isTrailingSurrogate(string, i)) { //only odd (rtl) levels
+      const char = String.fromCodePoint(string.codePointAt(i))
+      const mirror = getMirroredCharacter(char)
       if (mirror !== null) {
         map.set(i, mirror)
+      } else if (isBidiMirrored(char)) {
+        map.flippedIndices.push(i)
       }
     }
   }
@@ -1,5 +1,12 @@
-import { getBidiCharType, TRAILING_TYPES } from './charTypes.js'
+import { getBidiCharTypeAt, TRAILING_TYPES, BN_LIKE_TYPES, ISOLATE_INIT_TYPES, TYPES } from './charTypes.js'
 import { getMirroredCharacter } from './mirroring.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+import { getIgnoredRanges, isIndexInRanges } from './markup.js'
+import { getGraphemeClusters } from './graphemes.js'
+
+const REMOVABLE_CONTROL_TYPES = BN_LIKE_TYPES | ISOLATE_INIT_TYPES | TYPES.PDI
+const JOINERS = [0x200C, 0x200D] //ZWNJ and ZWJ are BN but still needed for shaping
+const MARKS = [0x200E, 0x200F, 0x061C] //LRM, RLM, ALM
 
 /**
  * Given a start and end denoting a single line within a string, and a set of precalculated
@@ -8,26 +15,21 @@ import { getMirroredCharacter } from './mirroring.js'
  * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
  * @param {number} [start] - first character in a subset of the full string
  * @param {number} [end] - last character in a subset of the full string
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
  * @return {number[][]} - the list of start/end segments that should be flipped, in order.
  */
-export function getReorderSegments(string, embeddingLevelsResult, start, end) {
+export function getReorderSegments(string, embeddingLevelsResult, start, end, options) {
   let strLen = string.length
   start = Math.max(0, start == null ? 0 : +start)
   end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
 
   const segments = []
+  const allLineLevels = getLineLevels(string, embeddingLevelsResult, start, end, options)
   embeddingLevelsResult.paragraphs.forEach(paragraph => {
     const lineStart = Math.max(start, paragraph.start)
     const lineEnd = Math.min(end, paragraph.end)
     if (lineStart < lineEnd) {
-      // Local slice for mutation
-      const lineLevels = embeddingLevelsResult.levels.slice(lineStart, lineEnd + 1)
-
-      // 3.4 L1.4: Reset any sequence of whitespace characters and/or isolate formatting characters at the
-      // end of the line to the paragraph level.
-      for (let i = lineEnd; i >= lineStart && (getBidiCharType(string[i]) & TRAILING_TYPES); i--) {
-        lineLevels[i] = paragraph.level
-      }
+      const lineLevels = allLineLevels.subarray(lineStart - start, lineEnd - start + 1)
 
       // L2. From the highest level found in the text to the lowest odd level on each line, including intermediate levels
       // not actually present in the text, reverse any contiguous sequence of characters that are at that level or higher.
@@ -56,16 +58,123 @@ export function getReorderSegments(string, embeddingLevelsResult, start, end) {
   return segments
 }
 
+/**
+ * @typedef {object} VisualRun
+ * @property {number} start - index of the run's first character in logical order
+ * @property {number} end - index of the run's last character in logical order, inclusive
+ * @property {number} level - the resolved embedding level shared by all the run's characters
+ * @property {"ltr"|"rtl"} direction - the direction in which the run's characters are laid out
+ */
+
+/**
+ * Given a start and end denoting a single line within a string, get the runs of characters that share a single
+ * embedding level, in visual left-to-right order. Each run is a logical range of the string that can be handed
+ * to a shaping engine as a unit, and then laid out in its `direction`.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {VisualRun[]}
+ */
+export function getVisualRuns(string, embeddingLevelsResult, start, end, options) {
+  let strLen = string.length
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+
+  const visualRuns = []
+  const allLineLevels = getLineLevels(string, embeddingLevelsResult, start, end, options)
+  embeddingLevelsResult.paragraphs.forEach(paragraph => {
+    const lineStart = Math.max(start, paragraph.start)
+    const lineEnd = Math.min(end, paragraph.end)
+    if (lineStart <= lineEnd) {
+      // Split the line into logical runs of a single level
+      const runs = []
+      let maxLevel = paragraph.level
+      let minOddLevel = Infinity
+      for (let i = lineStart; i <= lineEnd; i++) {
+        const level = allLineLevels[i - start]
+        const runStart = i
+        while (i + 1 <= lineEnd && allLineLevels[i + 1 - start] === level) {
+          i++
+        }
+        runs.push({ start: runStart, end: i, level, direction: (level & 1) ? 'rtl' : 'ltr' })
+        if (level > maxLevel) maxLevel = level
+        if (level < minOddLevel) minOddLevel = level | 1
+      }
+
+      // L2, applied to whole runs rather than individual characters
+      for (let lvl = maxLevel; lvl >= minOddLevel; lvl--) {
+        for (let i = 0; i < runs.length; i++) {
+          if (runs[i].level >= lvl) {
+            const segStart = i
+            while (i + 1 < runs.length && runs[i + 1].level >= lvl) {
+              i++
+            }
+            for (let a = segStart, b = i; a < b; a++, b--) {
+              const run = runs[a]
+              runs[a] = runs[b]
+              runs[b] = run
+            }
+          }
+        }
+      }
+      runs.forEach(run => visualRuns.push(run))
+    }
+  })
+  return visualRuns
+}
+
+/**
+ * Get the embedding levels for the characters of a single line, with rule L1 applied to reset any whitespace
+ * and isolate formatting characters at the end of the line to their paragraph's level.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {number} start - first character of the line
+ * @param {number} end - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {Uint8Array} - a new array of levels, where index 0 corresponds to `start`
+ */
+export function getLineLevels(string, embeddingLevelsResult, start, end, options) {
+  const charTypeOverrides = options && options.charTypeOverrides
+  const ignoredRanges = embeddingLevelsResult.ignoredRanges || getIgnoredRanges(string, options)
+  const lineLevels = embeddingLevelsResult.levels.slice(start, end + 1)
+  embeddingLevelsResult.paragraphs.forEach(paragraph => {
+    const lineStart = Math.max(start, paragraph.start)
+    const lineEnd = Math.min(end, paragraph.end)
+    // 3.4 L1.4: Reset any sequence of whitespace characters and/or isolate formatting characters at the
+    // end of the line to the paragraph level. Ignored ranges count as boundary neutrals, which are included.
+    for (let i = lineEnd; i >= lineStart && (
+      (ignoredRanges && isIndexInRanges(ignoredRanges, i)) || (getBidiCharTypeAt(string, i, charTypeOverrides) & TRAILING_TYPES)
+    ); i--) {
+      lineLevels[i - start] = paragraph.level
+    }
+  })
+  return lineLevels
+}
+
+/**
+ * @typedef {BidiOptions} ReorderOptions
+ * @property {boolean} [removeControls] - Leave out the characters removed by rule X9 (explicit embeddings,
+ *           overrides, PDF, and boundary neutrals other than ZWJ/ZWNJ) plus the isolate formatting characters,
+ *           rather than retaining them in place per section 5.2.
+ * @property {boolean} [removeMarks] - Leave out the implicit directional marks LRM, RLM and ALM.
+ * @property {boolean} [keepGraphemeClusters] - Keep the characters of each extended grapheme cluster (UAX #29)
+ *           in logical order within reversed segments. This applies rule L3, so combining marks stay after their
+ *           base characters, and also keeps emoji ZWJ sequences, flags, and Hangul syllables from being scrambled.
+ */
+
 /**
  * @param {string} string
  * @param {GetEmbeddingLevelsResult} embedLevelsResult
  * @param {number} [start]
  * @param {number} [end]
+ * @param {ReorderOptions} [options]
  * @return {string} the new string with bidi segments reordered
  */
-export function getReorderedString(string, embedLevelsResult, start, end) {
-  const indices = getReorderedIndices(string, embedLevelsResult, start, end)
-  const chars = [...string]
+export function getReorderedString(string, embedLevelsResult, start, end, options) {
+  const indices = getReorderedIndices(string, embedLevelsResult, start, end, options)
+  const chars = new Array(indices.length)
   indices.forEach((charIndex, i) => {
     chars[i] = (
       (embedLevelsResult.levels[charIndex] & 1) ? getMirroredCharacter(string[charIndex]) : null
@@ -79,10 +188,48 @@ export function getReorderedString(string, embedLevelsResult, start, end) {
  * @param {GetEmbeddingLevelsResult} embedLevelsResult
  * @param {number} [start]
  * @param {number} [end]
- * @return {number[]} an array with character indices in their new bidi order
+ * @param {ReorderOptions} [options]
+ * @return {number[]} an array with character indices in their new bidi order. When `removeControls` or
+ *         `removeMarks` is set, the array only holds the remaining indices, and has a `removedIndices` property
+ *         listing the logical indices that were dropped, in ascending order.
+ */
+export function getReorderedIndices(string, embedLevelsResult, start, end, options) {
+  const indices = getVisualIndices(string, embedLevelsResult, start, end, options)
+  if (options && (options.removeControls || options.removeMarks)) {
+    let strLen = string.length
+    start = Math.max(0, start == null ? 0 : +start)
+    end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+    const removedTypes = options.removeControls ? REMOVABLE_CONTROL_TYPES : 0
+    const removedMarks = !!options.removeMarks
+    const charTypeOverrides = options.charTypeOverrides
+    const isRemoved = i => i >= start && i <= end && (
+      (removedMarks && MARKS.indexOf(string.charCodeAt(i)) !== -1) ||
+      ((getBidiCharTypeAt(string, i, charTypeOverrides) & removedTypes) && JOINERS.indexOf(string.charCodeAt(i)) === -1)
+    )
+    const kept = indices.filter(i => !isRemoved(i))
+    kept.removedIndices = []
+    for (let i = start; i <= end; i++) {
+      if (isRemoved(i)) {
+        kept.removedIndices.push(i)
+      }
+    }
+    return kept
+  }
+  return indices
+}
+
+/**
+ * Like getReorderedIndices, but always retaining every character so that positions in the returned array
+ * line up with positions in the string.
+ * @param {string} string
+ * @param {GetEmbeddingLevelsResult} embedLevelsResult
+ * @param {number} [start]
+ * @param {number} [end]
+ * @param {ReorderOptions} [options] - `removeControls` and `removeMarks` are not applied
+ * @return {number[]}
  */
-export function getReorderedIndices(string, embedLevelsResult, start, end) {
-  const segments = getReorderSegments(string, embedLevelsResult, start, end)
+export function getVisualIndices(string, embedLevelsResult, start, end, options) {
+  const segments = getReorderSegments(string, embedLevelsResult, start, end, options)
   // Fill an array with indices
   const indices = []
   for (let i = 0; i < string.length; i++) {
@@ -95,5 +242,77 @@ export function getReorderedIndices(string, embedLevelsResult, start, end) {
       indices[end - i] = slice[i]
     }
   })
+  // Surrogate pairs always share a level so they get reversed together, which leaves their halves
+  // swapped; put them back in logical order so they still form a valid character.
+  for (let i = 0; i < indices.length - 1; i++) {
+    if (indices[i + 1] === indices[i] - 1 && isTrailingSurrogate(string, indices[i])) {
+      indices[i] = indices[i + 1]
+      indices[++i]++
+    }
+  }
+  if (options && options.keepGraphemeClusters) {
+    keepGraphemeClustersInOrder(string, indices, start, end)
+  }
   return indices
 }
+
+/**
+ * Put the characters of each multi-character grapheme cluster in a line back into logical order, where they
+ * ended up visually contiguous. A cluster split across levels, e.g. by an embedding, is left as it is.
+ */
+function keepGraphemeClustersInOrder (string, indices, start, end) {
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(string.length - 1, end == null ? string.length - 1 : +end)
+  const positions = []
+  for (let i = start; i <= end; i++) {
+    positions[indices[i]] = i
+  }
+  getGraphemeClusters(string, start, end).forEach(([clusterStart, clusterEnd]) => {
+    if (clusterEnd > clusterStart) {
+      let minPosition = positions[clusterStart]
+      let maxPosition = minPosition
+      for (let i = clusterStart + 1; i <= clusterEnd; i++) {
+        minPosition = Math.min(minPosition, positions[i])
+        maxPosition = Math.max(maxPosition, positions[i])
+      }
+      if (maxPosition - minPosition === clusterEnd - clusterStart) {
+        for (let i = clusterStart; i <= clusterEnd; i++) {
+          indices[minPosition + i - clusterStart] = i
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Given a logical selection range and a single line, get the visually contiguous ranges of selected characters,
+ * in left-to-right order. A selection that crosses a boundary between directions will be split into several
+ * visual ranges, each of which can be painted as a single highlight rectangle.
+ * @param {string} string - the full input string
+ * @param {GetEmbeddingLevelsResult} embeddingLevelsResult - the result object from getEmbeddingLevels
+ * @param {number} selectionStart - index of the first selected character
+ * @param {number} selectionEnd - index after the last selected character (exclusive)
+ * @param {number} [start] - first character of the line
+ * @param {number} [end] - last character of the line, inclusive
+ * @param {BidiOptions} [options] - the same options passed to getEmbeddingLevels
+ * @return {number[][]} - the list of inclusive start/end ranges, in the same visual index space as
+ *         the array returned by getReorderedIndices
+ */
+export function getSelectionVisualRanges(string, embeddingLevelsResult, selectionStart, selectionEnd, start, end, options) {
+  let strLen = string.length
+  start = Math.max(0, start == null ? 0 : +start)
+  end = Math.min(strLen - 1, end == null ? strLen - 1 : +end)
+
+  const indices = getVisualIndices(string, embeddingLevelsResult, start, end, options)
+  const ranges = []
+  for (let i = start; i <= end; i++) {
+    if (indices[i] >= selectionStart && indices[i] < selectionEnd) {
+      const rangeStart = i
+      while (i + 1 <= end && indices[i + 1] >= selectionStart && indices[i + 1] < selectionEnd) {
+        i++
+      }
+      ranges.push([rangeStart, i])
+    }
+  }
+  return ranges
+}
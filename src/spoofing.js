@@ -0,0 +1,272 @@
+import { determineAutoEmbedLevel, getEmbeddingLevels, matchExplicitFormatting } from './embeddingLevels.js'
+import { getBidiCharTypeAt, TYPES, TYPES_TO_NAMES } from './charTypes.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+
+// An ON character, standing in for the text following a span when resolving it without its formatting characters
+const OBJECT_REPLACEMENT = '\uFFFC'
+const LRI = '\u2066'
+const RLI = '\u2067'
+
+const SEVERITIES = {
+  'unterminated': 'error',
+  'crosses-boundary': 'error',
+  'reordered': 'warning',
+  'unmatched-terminator': 'info'
+}
+
+const MESSAGES = {
+  'unterminated': type => `${type} is not terminated before the end of the line, so it affects everything after it`,
+  'crosses-boundary': type => `${type} and its terminator are in different comments, strings, or code`,
+  'reordered': type => `${type} changes the displayed order of the text it encloses`,
+  'unmatched-terminator': type => `${type} has no matching initiator`
+}
+
+/**
+ * @typedef {object} BidiSpoofingFinding
+ * @property {"unterminated"|"crosses-boundary"|"reordered"|"unmatched-terminator"} type - what was found:
+ *           - "unterminated": an embedding, override, or isolate left open at the end of a line
+ *           - "crosses-boundary": an embedding, override, or isolate whose start and end are not within the same
+ *             token, e.g. one starting in a comment and ending in code
+ *           - "reordered": an embedding, override, or isolate that changes the order in which text is displayed
+ *           - "unmatched-terminator": a PDF or PDI with nothing to terminate
+ * @property {"error"|"warning"|"info"} severity
+ * @property {number} start - index of the formatting character that was found
+ * @property {number} end - index of the character terminating it, or of the last character of the line if it
+ *           was left unterminated
+ * @property {number} line - zero-based line number of `start`
+ * @property {number} column - zero-based column of `start` within its line
+ * @property {string} control - the bidi type of the formatting character, e.g. "RLO" or "PDI"
+ * @property {string} message
+ */
+
+/**
+ * Scan text for uses of bidi formatting characters that make the way it's displayed differ misleadingly from
+ * its logical order, as in the "Trojan Source" attacks (CVE-2021-42574). Each embedding, override, or isolate
+ * is reported at most once, with its most severe finding. Marks such as LRM and RLM are not reported, since
+ * they can't reorder anything on their own. Formatting characters are matched up with their terminators exactly
+ * as rules X1-X8 do, including past the maximum embedding depth.
+ *
+ * @param {string} string - the text to scan, such as a source file
+ * @param {object} [options]
+ * @param {"ltr"|"rtl"|"auto"} [options.baseDirection="ltr"] - the direction the text is displayed in, used to
+ *        determine whether it's reordered
+ * @param {number[][]} [options.tokenRanges] - inclusive [start, end] ranges of tokens, such as comments and string
+ *        literals, that formatting characters must not cross the boundaries of
+ * @param {"c"|"rust"} [options.syntax] - instead of `tokenRanges`, find the comments and string literals of
+ *        C-like languages automatically: "c" for those where single quotes delimit character or string literals
+ *        (such as C, C++, Java, C#, Go, or JavaScript), and "rust" for Rust, where they also start lifetimes and
+ *        loop labels, so only a complete character literal like `'x'` or `'\n'` is a token
+ * @return {BidiSpoofingFinding[]} - the findings, in order
+ */
+export function getBidiSpoofingFindings (string, options) {
+  const baseDirection = (options && options.baseDirection) || 'ltr'
+  const tokenRanges = (options && options.tokenRanges) ||
+    (options && (options.syntax === 'c' || options.syntax === 'rust') ? getCLikeTokenRanges(string, options.syntax === 'rust') : [])
+  const findings = []
+  const lineStarts = getLineStarts(string)
+
+  function addFinding (type, start, end) {
+    const control = TYPES_TO_NAMES[getBidiCharTypeAt(string, start)]
+    // Find the last line starting at or before `start`, by bisection
+    let line = 0
+    let high = lineStarts.length - 1
+    while (line < high) {
+      const mid = (line + high + 1) >> 1
+      if (lineStarts[mid] <= start) {
+        line = mid
+      } else {
+        high = mid - 1
+      }
+    }
+    findings.push({
+      type,
+      severity: SEVERITIES[type],
+      start,
+      end,
+      line,
+      column: start - lineStarts[line],
+      control,
+      message: MESSAGES[type](control)
+    })
+  }
+
+  const strLen = string.length
+  const charTypes = new Uint32Array(strLen)
+  for (let i = 0; i < strLen; i++) {
+    charTypes[i] = getBidiCharTypeAt(string, i)
+  }
+  const embeddingLevels = getEmbeddingLevels(string, baseDirection)
+
+  embeddingLevels.paragraphs.forEach(paragraph => {
+    // Match up the formatting characters within the paragraph exactly as the algorithm does
+    const spans = [] // [opener, terminator or -1, overflowed]
+    matchExplicitFormatting(charTypes, strLen, paragraph.start, paragraph.end, paragraph.level,
+      (opener, terminator, overflowed) => {
+        spans.push([opener, terminator, overflowed])
+      },
+      index => {
+        addFinding('unmatched-terminator', index, index)
+      }
+    )
+
+    // In order of their openers, so the spans enclosing each one have been seen before it
+    spans.sort((a, b) => a[0] - b[0])
+    const enclosing = [] // [end, initiator] of the enclosing spans that didn't overflow, outermost first
+    spans.forEach(([opener, terminator, overflowed]) => {
+      const end = terminator === -1 ? paragraph.end : terminator
+      while (enclosing.length && enclosing[enclosing.length - 1][0] < opener) {
+        enclosing.pop()
+      }
+      if (terminator === -1) {
+        addFinding('unterminated', opener, end)
+      } else if (tokenRanges.some(([tokenStart, tokenEnd]) => isBoundaryWithin(tokenStart, opener, terminator) || isBoundaryWithin(tokenEnd + 1, opener, terminator))) {
+        addFinding('crosses-boundary', opener, end)
+      } else if (!overflowed && isReordered(string, embeddingLevels.levels, paragraph.level, enclosing, opener, terminator)) {
+        addFinding('reordered', opener, end)
+      }
+      if (!overflowed) {
+        // An FSI is replaced by the isolate it resolves to, as the text it looks at won't be there
+        let initiator = string[opener]
+        if (charTypes[opener] & TYPES.FSI) {
+          initiator = determineAutoEmbedLevel(charTypes, strLen, opener + 1, true) ? RLI : LRI
+        }
+        enclosing.push([end, initiator])
+      }
+    })
+  })
+
+  return findings.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Whether the boundary before `index` falls between the opener and terminator of a span
+ */
+function isBoundaryWithin (index, opener, terminator) {
+  return index > opener && index <= terminator
+}
+
+/**
+ * Determine whether a span's formatting characters change the displayed order of the text they enclose, by
+ * comparing its order from the resolved `levels` to its order when resolved without them. Only the enclosed
+ * text is resolved again, after the initiators of the `enclosing` spans to reproduce the surrounding level
+ * and override, so the cost is proportional to its length rather than the paragraph's.
+ */
+function isReordered (string, levels, paragraphLevel, enclosing, opener, terminator) {
+  const text = string.slice(opener + 1, terminator)
+  if (!text) {
+    return false
+  }
+  let context = ''
+  enclosing.forEach(([, initiator]) => {
+    context += initiator
+  })
+  const withoutControls = getEmbeddingLevels(context + text + OBJECT_REPLACEMENT, paragraphLevel ? 'rtl' : 'ltr').levels
+  const visualOrder = getVisualOrder(levels.subarray(opener + 1, terminator))
+  const visualOrderWithout = getVisualOrder(withoutControls.subarray(context.length, context.length + text.length))
+  return visualOrder.some((index, i) => index !== visualOrderWithout[i])
+}
+
+/**
+ * Get the order in which a sequence of characters is displayed from their levels, following rule L2, as their
+ * indices in visual order. As the sequence needn't be a whole line, rule L1 is not applied.
+ */
+function getVisualOrder (levels) {
+  const indices = []
+  let maxLevel = 0
+  let minOddLevel = Infinity
+  for (let i = 0; i < levels.length; i++) {
+    indices.push(i)
+    if (levels[i] > maxLevel) maxLevel = levels[i]
+    if (levels[i] < minOddLevel) minOddLevel = levels[i] | 1
+  }
+  for (let lvl = maxLevel; lvl >= minOddLevel; lvl--) {
+    for (let i = 0; i < indices.length; i++) {
+      if (levels[indices[i]] >= lvl) {
+        const segStart = i
+        while (i + 1 < indices.length && levels[indices[i + 1]] >= lvl) {
+          i++
+        }
+        for (let a = segStart, b = i; a < b; a++, b--) {
+          const tmp = indices[a]
+          indices[a] = indices[b]
+          indices[b] = tmp
+        }
+      }
+    }
+  }
+  return indices
+}
+
+/**
+ * Get the index at which each line starts, with lines ending in LF, CR, or CRLF.
+ */
+function getLineStarts (string) {
+  const lineStarts = [0]
+  for (let i = 0; i < string.length; i++) {
+    const char = string[i]
+    if (char === '\n' || (char === '\r' && string[i + 1] !== '\n')) {
+      lineStarts.push(i + 1)
+    }
+  }
+  return lineStarts
+}
+
+/**
+ * Find the ranges of comments and string literals in source code of C-like syntax: line comments starting
+ * with `//`, block comments between `/*` and `*\/`, and strings delimited by single, double, or back quotes,
+ * with backslash escapes. Single and double quoted strings are ended by a line break. With `charLiteralsOnly`,
+ * a single quote only starts a token if it begins a complete character literal.
+ */
+function getCLikeTokenRanges (string, charLiteralsOnly) {
+  const ranges = []
+  for (let i = 0; i < string.length; i++) {
+    const char = string[i]
+    const start = i
+    if (char === '/' && string[i + 1] === '/') {
+      while (i + 1 < string.length && string[i + 1] !== '\n' && string[i + 1] !== '\r') {
+        i++
+      }
+    } else if (char === '/' && string[i + 1] === '*') {
+      const close = string.indexOf('*/', i + 2)
+      i = close === -1 ? string.length - 1 : close + 1
+    } else if (char === '\'' && charLiteralsOnly) {
+      const end = getCharLiteralEnd(string, i)
+      if (end === -1) {
+        continue
+      }
+      i = end
+    } else if (char === '"' || char === '\'' || char === '`') {
+      for (i++; i < string.length && string[i] !== char; i++) {
+        if (char !== '`' && (string[i] === '\n' || string[i] === '\r')) {
+          i--
+          break
+        }
+        if (string[i] === '\\') {
+          i++
+        }
+      }
+      i = Math.min(i, string.length - 1)
+    } else {
+      continue
+    }
+    ranges.push([start, i])
+  }
+  return ranges
+}
+
+/**
+ * Get the index of the closing quote of a character literal starting at `start`, holding either a single
+ * character or a backslash escape such as `\n`, `\x7f` or `\u{202E}`, or -1 if there is none there.
+ */
+function getCharLiteralEnd (string, start) {
+  let end
+  if (string[start + 1] === '\\') {
+    end = string.indexOf('\'', start + 3) //the escaped character may itself be a quote
+    if (end === -1 || end - start > 11 || /[\n\r]/.test(string.slice(start, end))) {
+      return -1
+    }
+  } else {
+    end = start + (isTrailingSurrogate(string, start + 2) ? 3 : 2)
+  }
+  return string[end] === '\'' && !/[\n\r']/.test(string[start + 1]) ? end : -1
+}
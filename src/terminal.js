@@ -0,0 +1,195 @@
+import { createRangeLookup } from './util/rangeLookup.js'
+import { getUnicodeData } from './unicodeData.js'
+import { getEmbeddingLevels } from './embeddingLevels.js'
+import { getWrappedLines } from './lineLayout.js'
+import { getVisualIndices } from './reordering.js'
+import { getMirroredCharacter } from './mirroring.js'
+import { getBidiCharTypeAt, TYPES } from './charTypes.js'
+import { isTrailingSurrogate } from './util/surrogates.js'
+
+// CSI sequences (including SGR), OSC sequences terminated by BEL or ST, and other two-character escapes
+const ESCAPE_REGEX = /\x1b(?:\[[0-?]*[ -\/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g
+const SGR_REGEX = /^\x1b\[([0-9;:]*)m$/
+const SGR_RESET = '\x1b[0m'
+const LINE_BREAK_REGEX = /[\n\v\f\r\u0085\u2028\u2029]/
+// Stands in for escape sequences when finding line breaks: a zero-width combining mark, so no break is
+// allowed within a sequence or before it unless allowed before the character that follows it
+const ESCAPE_PLACEHOLDER = '\u0300'
+
+const WIDTHS = { zero: 0, wide: 2, ambiguous: -1 }
+
+let lookups = null
+
+/**
+ * Get the lookup function for the display widths data, rebuilding it if the Unicode data set has changed.
+ */
+function getLookups () {
+  const data = getUnicodeData().displayWidths
+  if (!lookups || lookups._data !== data) {
+    lookups = {
+      _data: data,
+      _getWidth: createRangeLookup(data, name => WIDTHS[name] + 1, 2) //offset so the values are unsigned
+    }
+  }
+  return lookups
+}
+
+/**
+ * Find the ANSI escape sequences in a string, such as SGR color sequences.
+ * @param {string} string
+ * @return {number[][]} - inclusive [start, end] ranges
+ */
+function getEscapeRanges (string) {
+  const ranges = []
+  let match
+  ESCAPE_REGEX.lastIndex = 0
+  while ((match = ESCAPE_REGEX.exec(string))) {
+    ranges.push([match.index, match.index + match[0].length - 1])
+  }
+  return ranges
+}
+
+/**
+ * Get the number of terminal columns a string takes up, using the East_Asian_Width of its characters. ANSI
+ * escape sequences, combining marks, and other format and control characters take up no columns.
+ *
+ * @param {string} string
+ * @param {object} [options]
+ * @param {1|2} [options.ambiguousWidth=1] - columns taken up by characters whose East_Asian_Width is ambiguous,
+ *        which most terminals display in a single column outside of East Asian locales
+ * @return {number}
+ */
+export function getDisplayWidth (string, options) {
+  const ambiguousWidth = (options && options.ambiguousWidth) || 1
+  const getWidth = getLookups()._getWidth
+  const escapeRanges = getEscapeRanges(string)
+  let width = 0
+  for (let i = 0, r = 0; i < string.length; i++) {
+    if (r < escapeRanges.length && i === escapeRanges[r][0]) {
+      i = escapeRanges[r++][1]
+    } else if (!isTrailingSurrogate(string, i)) {
+      const charWidth = getWidth(string.codePointAt(i)) - 1
+      width += charWidth === -1 ? ambiguousWidth : charWidth
+    }
+  }
+  return width
+}
+
+/**
+ * Lay out a string for display in a terminal, returning the text of each line in visual order, ready to be
+ * written to a TTY.
+ *
+ * ANSI escape sequences are ignored by the bidi algorithm, like boundary neutrals, and take up no columns.
+ * The styling set by SGR sequences (colors, bold, etc.) stays attached to the characters it applied to in
+ * logical order, wherever they end up after reordering; each line sets the styles it needs and resets them at
+ * its end. Other escape sequences are written just before the character following them.
+ *
+ * Grapheme clusters are kept in logical order, as for the `keepGraphemeClusters` option of getReorderedString.
+ * Line break characters are not included in the lines, nor is whitespace at a point where a line was wrapped.
+ *
+ * @param {string} string
+ * @param {BaseDirection} [baseDirection="auto"] - as for getEmbeddingLevels
+ * @param {object} [options]
+ * @param {number} [options.width] - the maximum number of columns per line; lines are wrapped at the
+ *        opportunities given by getLineBreakOpportunities to fit. Without this, lines are only broken at line
+ *        break characters.
+ * @param {boolean} [options.pad] - pad each line with spaces to `width` columns, on the end side of its
+ *        paragraph's direction so that right-to-left paragraphs are right-aligned
+ * @param {1|2} [options.ambiguousWidth=1] - as for getDisplayWidth
+ * @param {BidiOptions['charTypeOverrides']} [options.charTypeOverrides]
+ * @return {string[]}
+ */
+export function getTerminalLines (string, baseDirection, options) {
+  const maxWidth = options && options.width > 0 ? +options.width : Infinity
+  const pad = !!(options && options.pad) && maxWidth !== Infinity
+  const escapeRanges = getEscapeRanges(string)
+  const bidiOptions = {
+    charTypeOverrides: options && options.charTypeOverrides,
+    ignoreRanges: escapeRanges
+  }
+  const embeddingLevels = getEmbeddingLevels(string, baseDirection, bidiOptions)
+
+  // Record the SGR styling in effect at each character, and the other escape sequences to be written before it
+  const isEscape = new Uint8Array(string.length)
+  const styles = new Array(string.length + 1)
+  const prefixes = new Array(string.length + 1)
+  let style = ''
+  let prefix = ''
+  for (let i = 0, r = 0; i <= string.length; i++) {
+    if (r < escapeRanges.length && i === escapeRanges[r][0]) {
+      const [start, end] = escapeRanges[r++]
+      const sequence = string.slice(start, end + 1)
+      const sgrMatch = sequence.match(SGR_REGEX)
+      if (sgrMatch) {
+        // A reset, possibly followed by other attributes, replaces the styling rather than adding to it
+        style = /^0*(?:[;:]|$)/.test(sgrMatch[1])
+          ? (/^0*$/.test(sgrMatch[1]) ? '' : sequence)
+          : style + sequence
+      } else {
+        prefix += sequence
+      }
+      for (; i <= end; i++) {
+        isEscape[i] = 1
+      }
+      i--
+    } else {
+      styles[i] = style
+      prefixes[i] = prefix
+      prefix = ''
+    }
+  }
+
+  const maskedString = escapeRanges.length ? string.replace(ESCAPE_REGEX, sequence =>
+    new Array(sequence.length + 1).join(ESCAPE_PLACEHOLDER)
+  ) : string
+  const measureWidth = substring => getDisplayWidth(substring, options)
+  const lines = getWrappedLines(maskedString, embeddingLevels, measureWidth, maxWidth, bidiOptions)
+
+  return lines.map(({ start, end }, lineIndex) => {
+    // Leave out line breaks, and whitespace where the line was wrapped
+    const wrapped = lineIndex < lines.length - 1 && !LINE_BREAK_REGEX.test(string[end])
+    let contentEnd = end
+    while (contentEnd >= start && (isEscape[contentEnd] || LINE_BREAK_REGEX.test(string[contentEnd]) ||
+      (wrapped && (getBidiCharTypeAt(string, contentEnd, bidiOptions.charTypeOverrides) & TYPES.WS)))) {
+      contentEnd--
+    }
+
+    let text = ''
+    let currentStyle = ''
+    // Terminals attach combining marks to the cell before them, so grapheme clusters are kept in logical order
+    const visualIndices = getVisualIndices(string, embeddingLevels, start, end, {
+      charTypeOverrides: bidiOptions.charTypeOverrides,
+      ignoreRanges: escapeRanges,
+      keepGraphemeClusters: true
+    }).slice(start, end + 1)
+    visualIndices.forEach(i => {
+      if (i <= contentEnd && !isEscape[i]) {
+        if (styles[i] !== currentStyle) {
+          // Only add to the current styling if it's a continuation of it, otherwise start over
+          text += styles[i].indexOf(currentStyle) === 0
+            ? styles[i].slice(currentStyle.length)
+            : SGR_RESET + styles[i]
+          currentStyle = styles[i]
+        }
+        text += prefixes[i] + (
+          ((embeddingLevels.levels[i] & 1) && getMirroredCharacter(string[i])) || string[i]
+        )
+      }
+    })
+    if (currentStyle) {
+      text += SGR_RESET
+    }
+    // Escape sequences at the end of the line or before a character left out still get written
+    const last = lineIndex === lines.length - 1 ? end + 1 : end
+    for (let i = contentEnd + 1; i <= last; i++) {
+      text += prefixes[i] || ''
+    }
+
+    if (pad) {
+      const padding = new Array(Math.max(0, maxWidth - getDisplayWidth(text, options)) + 1).join(' ')
+      const paragraph = embeddingLevels.paragraphs.filter(p => p.start <= start && p.end >= start)[0]
+      text = (paragraph && (paragraph.level & 1)) ? padding + text : text + padding
+    }
+    return text
+  })
+}
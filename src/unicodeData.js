@@ -0,0 +1,72 @@
+import version from './data/unicodeVersion.data.js'
+import bidiCharTypes from './data/bidiCharTypes.data.js'
+import bidiBrackets from './data/bidiBrackets.data.js'
+import bidiMirroring from './data/bidiMirroring.data.js'
+import bidiMirrored from './data/bidiMirrored.data.js'
+import lineBreakClasses from './data/lineBreakClasses.data.js'
+import arabicJoining from './data/arabicJoining.data.js'
+import displayWidths from './data/displayWidths.data.js'
+import graphemeBreak from './data/graphemeBreak.data.js'
+
+/**
+ * @typedef {object} UnicodeDataSet
+ * @property {string} version - the Unicode version the data was generated from, e.g. "13.0.0"
+ * @property {object} bidiCharTypes
+ * @property {object} bidiBrackets
+ * @property {string} bidiMirroring
+ * @property {string} bidiMirrored
+ * @property {object} lineBreakClasses
+ * @property {object} arabicJoining
+ * @property {object} displayWidths
+ * @property {object} graphemeBreak
+ */
+
+const DATA_KEYS = [
+  'bidiCharTypes', 'bidiBrackets', 'bidiMirroring', 'bidiMirrored', 'lineBreakClasses', 'arabicJoining', 'displayWidths',
+  'graphemeBreak'
+]
+
+/** @type {UnicodeDataSet} */
+const BUNDLED = {
+  version, bidiCharTypes, bidiBrackets, bidiMirroring, bidiMirrored, lineBreakClasses, arabicJoining, displayWidths,
+  graphemeBreak
+}
+
+let current = BUNDLED
+
+/**
+ * Get the Unicode data set currently in use. Modules holding data parsed from it should check whether
+ * it has been swapped out since they parsed it.
+ * @return {UnicodeDataSet}
+ */
+export function getUnicodeData () {
+  return current
+}
+
+/**
+ * @return {string} the version of the Unicode data currently in use
+ */
+export function getUnicodeVersion () {
+  return current.version
+}
+
+/**
+ * Switch to a different Unicode data set, as written by `scripts/generateBidiData.mjs --out`. All of its
+ * parts must come from a single Unicode version. Pass `null` to go back to the bundled data.
+ * @param {UnicodeDataSet|null} data
+ */
+export function setUnicodeData (data) {
+  if (data) {
+    DATA_KEYS.forEach(key => {
+      if (!data[key]) {
+        throw new Error(`Unicode data set is missing "${key}"`)
+      }
+    })
+    for (const type in data.bidiCharTypes) {
+      if (data.bidiCharTypes.hasOwnProperty(type) && !bidiCharTypes.hasOwnProperty(type)) {
+        throw new Error(`Unicode data set has unknown bidi character type "${type}"`)
+      }
+    }
+  }
+  current = data || BUNDLED
+}
@@ -1,16 +1,21 @@
+/**
+ * @typedef {function(string): (string|null)} CharacterLookup - returns the character mapped from a given
+ *          single character, or `null` if it has no mapping
+ */
+
 /**
  * Parses an string that holds encoded codepoint mappings, e.g. for bracket pairs or
- * mirroring characters, as encoded by scripts/generateBidiData.js. Returns an object
- * holding the `map`, and optionally a `reverseMap` if `includeReverse:true`.
+ * mirroring characters, as encoded by scripts/generateBidiData.mjs. Returns an object
+ * holding the `map`, and optionally a `reverseMap` if `includeReverse:true`. Rather than
+ * Maps, these are lookup functions backed by sorted typed arrays that are searched by bisection.
  * @param {string} encodedString
  * @param {boolean} includeReverse - true if you want reverseMap in the output
- * @return {{map: Map<number, number>, reverseMap?: Map<number, number>}}
+ * @return {{map: CharacterLookup, reverseMap?: CharacterLookup}}
  */
 export function parseCharacterMap (encodedString, includeReverse) {
   const radix = 36
   let lastCode = 0
-  const map = new Map()
-  const reverseMap = includeReverse && new Map()
+  const pairs = []
   let prevPair
   encodedString.split(',').forEach(function visit(entry) {
     if (entry.indexOf('+') !== -1) {
@@ -20,11 +25,53 @@ export function parseCharacterMap (encodedString, includeReverse) {
     } else {
       prevPair = entry
       let [a, b] = entry.split('>')
-      a = String.fromCodePoint(lastCode += parseInt(a, radix))
-      b = String.fromCodePoint(lastCode += parseInt(b, radix))
-      map.set(a, b)
-      includeReverse && reverseMap.set(b, a)
+      a = lastCode += parseInt(a, radix)
+      b = lastCode += parseInt(b, radix)
+      pairs.push([a, b])
     }
   })
-  return { map, reverseMap }
+  return {
+    map: createCharacterLookup(pairs),
+    reverseMap: includeReverse && createCharacterLookup(pairs.map(([a, b]) => [b, a]))
+  }
+}
+
+/**
+ * @param {number[][]} pairs - list of [from, to] codepoints; for duplicate `from` codepoints the last one wins
+ * @return {CharacterLookup}
+ */
+function createCharacterLookup (pairs) {
+  // Stable sort keeps duplicates in their original order, so the last of them can be kept
+  pairs = pairs.map((pair, i) => [pair[0], pair[1], i]).sort((a, b) => (a[0] - b[0]) || (a[2] - b[2]))
+  pairs = pairs.filter((pair, i) => i === pairs.length - 1 || pairs[i + 1][0] !== pair[0])
+  const keys = new Uint32Array(pairs.length)
+  const values = new Uint32Array(pairs.length)
+  pairs.forEach(([from, to], i) => {
+    keys[i] = from
+    values[i] = to
+  })
+
+  return function lookup (char) {
+    // Only a string of exactly one character can have a mapping
+    if (typeof char !== 'string') {
+      return null
+    }
+    const codePoint = char.codePointAt(0)
+    if (char.length !== (codePoint > 0xFFFF ? 2 : 1)) {
+      return null
+    }
+    let low = 0
+    let high = keys.length - 1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (codePoint > keys[mid]) {
+        low = mid + 1
+      } else if (codePoint < keys[mid]) {
+        high = mid - 1
+      } else {
+        return String.fromCodePoint(values[mid])
+      }
+    }
+    return null
+  }
 }
@@ -0,0 +1,76 @@
+/**
+ * Parses a string holding encoded codepoint ranges, as encoded by scripts/generateBidiData.mjs, calling
+ * `callback(start, end)` for each range. Each comma-delimited range is either a single codepoint or start+end
+ * codepoints separated by "+", and every codepoint is a base36-encoded relative offset from the previous one.
+ * @param {string} encodedString
+ * @param {function(number, number)} callback
+ */
+export function parseRanges (encodedString, callback) {
+  const radix = 36
+  let lastCode = 0
+  encodedString.split(',').forEach(entry => {
+    if (entry) {
+      const [skip, step] = entry.split('+')
+      const start = lastCode + parseInt(skip, radix)
+      lastCode = start + (step ? parseInt(step, radix) : 0)
+      callback(start, lastCode)
+    }
+  })
+}
+
+/**
+ * Creates a function for looking up a numeric value per codepoint, from an object whose keys map to strings of
+ * encoded codepoint ranges. Rather than expanding every range into individual codepoints, the ranges are kept
+ * in a sorted table that is searched by bisection. The table is built lazily on first lookup.
+ * @param {Object<string, string>} data - object whose values are encoded ranges strings
+ * @param {function(string): number} getValue - maps each key in the data to the value for its ranges
+ * @param {number} defaultValue - value for any codepoint not covered by a range
+ * @return {function(number): number}
+ */
+export function createRangeLookup (data, getValue, defaultValue) {
+  let starts, ends, values
+
+  function parse () {
+    //const start = performance.now()
+    const ranges = []
+    for (const key in data) {
+      if (data.hasOwnProperty(key)) {
+        const value = getValue(key)
+        parseRanges(data[key], (start, end) => {
+          ranges.push([start, end, value])
+        })
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0])
+    starts = new Uint32Array(ranges.length)
+    ends = new Uint32Array(ranges.length)
+    values = new Uint32Array(ranges.length)
+    ranges.forEach(([start, end, value], i) => {
+      starts[i] = start
+      ends[i] = end
+      values[i] = value
+    })
+    //console.log(`ranges parsed in ${performance.now() - start}ms`)
+  }
+
+  return function lookup (codePoint) {
+    if (!starts) {
+      parse()
+    }
+    let low = 0
+    let high = starts.length - 1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      // (comparisons are arranged so that a non-numeric codePoint falls through to the default)
+      if (codePoint >= starts[mid]) {
+        if (codePoint <= ends[mid]) {
+          return values[mid]
+        }
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+    return defaultValue
+  }
+}
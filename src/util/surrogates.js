@@ -0,0 +1,31 @@
+/**
+ * Helpers for dealing with UTF-16 surrogate pairs. All indices used throughout this library are
+ * UTF-16 code unit indices, so any supplementary-plane character occupies two index positions.
+ */
+
+/**
+ * Determine whether the code unit at a given index is the trailing (low) half of a surrogate pair.
+ * Unpaired surrogates are not considered part of a pair.
+ * @param {string} string
+ * @param {number} index
+ * @return {boolean}
+ */
+export function isTrailingSurrogate (string, index) {
+  const code = string.charCodeAt(index)
+  if (code >= 0xDC00 && code <= 0xDFFF && index > 0) {
+    const prev = string.charCodeAt(index - 1)
+    return prev >= 0xD800 && prev <= 0xDBFF
+  }
+  return false
+}
+
+/**
+ * Get the full code point that covers a given index. For the trailing half of a surrogate pair
+ * this is the code point starting at the preceding index.
+ * @param {string} string
+ * @param {number} index
+ * @return {number}
+ */
+export function codePointCoveringIndex (string, index) {
+  return string.codePointAt(isTrailingSurrogate(string, index) ? index - 1 : index)
+}
@@ -0,0 +1,43 @@
+/*
+ Checks that balanceBidiFormatting appends exactly the terminators needed to close what a string leaves open,
+ and that once balanced, the string no longer changes the levels of text appended after it.
+ */
+module.exports.runBalancingTest = function (bidi) {
+  const LRE = '\u202A', RLE = '\u202B', PDF = '\u202C', RLO = '\u202E'
+  const LRI = '\u2066', RLI = '\u2067', FSI = '\u2068', PDI = '\u2069'
+
+  const cases = [
+    { name: 'already balanced', text: `a${RLE}b${PDF}${RLI}c${PDI}`, expected: `a${RLE}b${PDF}${RLI}c${PDI}` },
+    { name: 'open embedding', text: `a${RLO}b`, expected: `a${RLO}b${PDF}` },
+    { name: 'open isolates', text: `${RLI}a${FSI}\u05D0`, expected: `${RLI}a${FSI}\u05D0${PDI}${PDI}` },
+    { name: 'embeddings around an isolate', text: `${LRE}${RLE}${RLI}${RLE}a`, expected: `${LRE}${RLE}${RLI}${RLE}a${PDI}${PDF}${PDF}` },
+    { name: 'PDF within an isolate', text: `${RLI}a${PDF}`, expected: `${RLI}a${PDF}${PDI}` },
+    { name: 'new paragraph', text: `${RLE}a\n${LRI}b`, expected: `${RLE}a\n${LRI}b${PDI}` },
+    { name: 'overflowed embeddings', text: `${RLE.repeat(70)}${LRE.repeat(70)}a`, expected: `${RLE.repeat(70)}${LRE.repeat(70)}a${PDF.repeat(140)}` },
+    { name: 'stray terminators kept', text: `a${PDF}b${PDI}`, expected: `a${PDF}b${PDI}` },
+    { name: 'stray terminators removed', text: `a${PDF}b${PDI}${RLE}c${PDF}${PDF}`, options: { removeUnmatched: true }, expected: `ab${RLE}c${PDF}` },
+    { name: 'stray PDF within an isolate removed', text: `${LRI}a${PDF}`, options: { removeUnmatched: true }, expected: `${LRI}a${PDI}` }
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(({ name, text, options, expected }) => {
+    const received = bidi.balanceBidiFormatting(text, options)
+    // Text appended after the balanced string should be resolved as if the string weren't there
+    const suffixLevels = bidi.getEmbeddingLevels(received + '\u05D0a', 'ltr').levels.slice(received.length)
+    const ok = received === expected && suffixLevels[0] === 1 && suffixLevels[1] === 0
+    if (ok) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Balancing test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}
+  Levels of appended text: ${suffixLevels.join(',')}`)
+    }
+  })
+
+  console.log(`Balancing Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,46 @@
+/*
+ Checks getBaseDirection's estimates in each of its modes.
+ */
+module.exports.runBaseDirectionTest = function (bidi) {
+  const LRI = '\u2066', RLI = '\u2067', PDI = '\u2069'
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD', ARABIC = '\u0645\u0631\u062D\u0628\u0627'
+
+  const cases = [
+    ['first strong', `123 ${HEBREW} abc`, {}, 'rtl'],
+    ['first strong skips isolates', `${LRI}abc${PDI} ${ARABIC}`, {}, 'rtl'],
+    ['first strong skips unterminated isolates', `${RLI}${HEBREW} abc`, {}, 'neutral'],
+    ['first strong in a later paragraph', `123\n${HEBREW} abc`, {}, 'rtl'],
+    ['no strong characters', '123 (!)', {}, 'neutral'],
+    ['empty string', '', {}, 'neutral'],
+    ['last strong', `abc ${HEBREW} 123`, { mode: 'last-strong' }, 'rtl'],
+    ['last strong skips isolates', `${HEBREW} abc ${RLI}${HEBREW}${PDI}`, { mode: 'last-strong' }, 'ltr'],
+    ['last strong in an earlier paragraph', `${HEBREW}\n123`, { mode: 'last-strong' }, 'rtl'],
+    ['word count, mostly LTR', `one two ${HEBREW} three four`, { mode: 'word-count' }, 'ltr'],
+    ['word count, over threshold', `one ${HEBREW} two ${ARABIC}`, { mode: 'word-count' }, 'rtl'],
+    ['word count, custom threshold', `one ${HEBREW} two ${ARABIC}`, { mode: 'word-count', rtlThreshold: 0.5 }, 'ltr'],
+    ['word count skips isolates', `${HEBREW} ${LRI}one two three${PDI}`, { mode: 'word-count' }, 'rtl'],
+    ['word count, punctuation only', '- !', { mode: 'word-count' }, 'neutral'],
+    ['word count counts URLs and numbers', `${HEBREW} https://example.com/a 123 4.5`, { mode: 'word-count' }, 'ltr'],
+    ['word count with neutral URLs and numbers', `${HEBREW} https://example.com/a 123 4.5`, { mode: 'word-count', neutralUrlsAndNumbers: true }, 'rtl'],
+    ['word count with only neutral words', 'www.example.com 42', { mode: 'word-count', neutralUrlsAndNumbers: true }, 'neutral'],
+    ['char type overrides', '~abc', { charTypeOverrides: new Map([[0x7E, 'R']]) }, 'rtl']
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, text, options, expected]) => {
+    const received = bidi.getBaseDirection(text, options)
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Base direction test "${name}":
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  })
+
+  console.log(`Base Direction Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,53 @@
+/*
+ Checks the output of createBidiFormatter's methods for strings of various directions, in left-to-right and
+ right-to-left contexts.
+ */
+module.exports.runBidiFormatterTest = function (bidi) {
+  const LRM = '\u200E', RLM = '\u200F', LRE = '\u202A', RLE = '\u202B', PDF = '\u202C'
+  const LRI = '\u2066', RLI = '\u2067', FSI = '\u2068', PDI = '\u2069'
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD'
+
+  const ltr = bidi.createBidiFormatter('ltr')
+  const rtl = bidi.createBidiFormatter('rtl')
+
+  const cases = [
+    ['getDirection of LTR text', ltr.getDirection('abc ' + HEBREW), 'ltr'],
+    ['getDirection of RTL text', ltr.getDirection('123 ' + HEBREW), 'rtl'],
+    ['getDirection skips isolates', ltr.getDirection(`${LRI}abc${PDI} ${HEBREW}`), 'rtl'],
+    ['getDirection of neutral text', ltr.getDirection('123 !'), 'neutral'],
+    ['unicodeWrap', ltr.unicodeWrap(HEBREW), FSI + HEBREW + PDI],
+    ['unicodeWrap with known direction', ltr.unicodeWrap('abc', { direction: 'rtl' }), RLI + 'abc' + PDI],
+    ['unicodeWrap balances formatting', ltr.unicodeWrap(`${PDI}${RLE}abc`), `${FSI}${RLE}abc${PDF}${PDI}`],
+    ['unicodeWrap with embeddings, RTL in LTR', ltr.unicodeWrap(HEBREW + ' 1', { isolate: false }), `${LRM}${RLE}${HEBREW} 1${PDF}${LRM}`],
+    ['unicodeWrap with embeddings, LTR in LTR', ltr.unicodeWrap('abc', { isolate: false }), 'abc'],
+    ['unicodeWrap with embeddings, LTR in RTL', rtl.unicodeWrap('abc', { isolate: false }), `${RLM}${LRE}abc${PDF}${RLM}`],
+    ['markAfter for RTL exit in LTR', ltr.markAfter(`abc ${HEBREW}`), LRM],
+    ['markAfter for LTR text in LTR', ltr.markAfter('abc'), ''],
+    ['markAfter for neutral text in RTL', rtl.markAfter('123'), ''],
+    ['markAfter for LTR exit in RTL', rtl.markAfter(`${HEBREW} abc`), RLM],
+    ['markBefore for RTL entry in LTR', ltr.markBefore(`${HEBREW} abc`), LRM],
+    ['markBefore for LTR entry in LTR', ltr.markBefore(`abc ${HEBREW}`), ''],
+    ['markBefore with known direction', ltr.markBefore('123', { direction: 'rtl' }), LRM],
+    ['dirAttr for RTL in LTR', ltr.dirAttr(HEBREW), 'dir="rtl"'],
+    ['dirAttr for LTR in LTR', ltr.dirAttr('abc'), ''],
+    ['dirAttr for neutral', rtl.dirAttr('123'), ''],
+    ['dirAttr for LTR in RTL', rtl.dirAttr('abc'), 'dir="ltr"']
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, received, expected]) => {
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Bidi formatter test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  })
+
+  console.log(`Bidi Formatter Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
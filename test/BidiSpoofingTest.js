@@ -0,0 +1,95 @@
+/*
+ Runs getBidiSpoofingFindings over examples of the "Trojan Source" attacks (https://trojansource.codes/) and
+ some harmless uses of bidi formatting characters, and checks the reported findings.
+ */
+module.exports.runBidiSpoofingTest = function (bidi) {
+  const LRE = '\u202A', RLO = '\u202E', PDF = '\u202C', LRI = '\u2066', RLI = '\u2067', PDI = '\u2069'
+  // 62 LREs reach level 124, so another LRE or LRI would overflow the maximum depth of 125
+  const MAX_DEPTH_LRES = LRE.repeat(62)
+  const unterminatedLREs = Array.from({ length: 62 }, (_, i) => `unterminated error LRE 0:${i}`)
+
+  const cases = [
+    {
+      name: 'commenting-out',
+      text: `var isAdmin = false;\n/*${RLO} } ${LRI}if (isAdmin)${PDI} ${LRI} begin admins only */\n` +
+        `  console.log("You are an admin.");\n/* end admins only ${RLO} ${LRI}{${PDI}*/\n`,
+      expected: ['unterminated error RLO 1:2', 'reordered warning LRI 1:6', 'unterminated error LRI 1:21', 'unterminated error RLO 3:19']
+    },
+    {
+      name: 'stretched string',
+      text: `if (accessLevel != "user${RLO} ${LRI}// Check if admin${PDI} ${LRI}") {\n}\n`,
+      expected: ['unterminated error RLO 0:24', 'reordered warning LRI 0:26', 'unterminated error LRI 0:46']
+    },
+    {
+      name: 'isolate from a string into code',
+      text: `const s = "abc${RLI}"; x = 1; "${PDI}";\n`,
+      expected: ['crosses-boundary error RLI 0:14']
+    },
+    {
+      name: 'override within a string',
+      text: `const s = "${RLO}abc${PDF}";\n`,
+      expected: ['reordered warning RLO 0:11']
+    },
+    {
+      name: 'stray terminators',
+      text: `a ${PDF} b ${PDI}\r\nc`,
+      expected: ['unmatched-terminator info PDF 0:2', 'unmatched-terminator info PDI 0:6']
+    },
+    {
+      name: 'isolated right-to-left text in a string',
+      text: `const name = "${RLI}\u05E9\u05DC\u05D5\u05DD${PDI}";\n`,
+      expected: []
+    },
+    {
+      name: 'rust lifetimes are not strings',
+      syntax: 'rust',
+      text: `fn f<'a>(s: &'a str) -> &'a str { "${RLI}don't${PDI}" }\n`,
+      expected: []
+    },
+    {
+      name: 'rust character literals are strings',
+      syntax: 'rust',
+      text: `let q = '\\''; let c = '${RLI}'; x = 1; "${PDI}";\n`,
+      expected: ['crosses-boundary error RLI 0:23']
+    },
+    {
+      name: 'single quotes delimit strings in C-like syntax',
+      text: `x = '${RLI}'; y = 1; '${PDI}';\n`,
+      expected: ['crosses-boundary error RLI 0:5']
+    },
+    {
+      name: 'a PDF within an overflowed isolate terminates nothing, but isn\'t unmatched',
+      text: `${MAX_DEPTH_LRES}${LRI}${PDF}${PDI}${PDF.repeat(62)}\n`,
+      expected: []
+    },
+    {
+      name: 'an override ignored within an overflowed isolate is only terminated by its PDI',
+      text: `${MAX_DEPTH_LRES}${LRI}${RLO}abc${PDF}\n`,
+      expected: unterminatedLREs.concat(['unterminated error LRI 0:62', 'unterminated error RLO 0:63'])
+    },
+    {
+      name: 'no formatting characters',
+      text: 'const x = "hello" // world\n',
+      expected: []
+    }
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(({ name, syntax = 'c', text, expected }) => {
+    const received = bidi.getBidiSpoofingFindings(text, { syntax })
+      .map(f => `${f.type} ${f.severity} ${f.control} ${f.line}:${f.column}`)
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Spoofing test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  })
+
+  console.log(`Bidi Spoofing Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
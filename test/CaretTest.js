@@ -0,0 +1,91 @@
+/*
+ Checks caret positioning and movement: the visual position of logical carets with each affinity, moving by
+ character and by word across direction boundaries, surrogate pairs, and the ends of lines. Strings are
+ written with uppercase ASCII letters standing in for Hebrew ones, and carets as their offset followed by
+ "f" or "b" for a forward or backward affinity.
+ */
+module.exports.runCaretTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+  const parseCaret = str => ({ offset: parseInt(str, 10), affinity: str.slice(-1) === 'b' ? 'backward' : 'forward' })
+  const formatCaret = caret => caret ? caret.offset + caret.affinity[0] : null
+
+  // [name, text, direction, line start, line end, carets, expected visual indices]
+  const visualIndexCases = [
+    ['LTR text', 'abc', 'ltr', null, null, ['0f', '1f', '1b', '3b'], [0, 1, 1, 3]],
+    ['affinity at the edge of an RTL run', 'abc DEF', 'ltr', null, null, ['4f', '4b', '7b', '5f'], [7, 4, 4, 6]],
+    ['affinity at the edge of an LTR run in RTL text', 'ABC def', 'rtl', null, null, ['4f', '4b', '0f', '7b'], [0, 3, 7, 3]],
+    ['offsets outside the line are clamped', 'abc\ndef', 'ltr', 4, 6, ['0f', '9f'], [4, 7]]
+  ]
+
+  // [name, text, direction, line start, line end, starting caret, direction, expected carets until null]
+  const moveCases = [
+    ['right across an RTL run', 'abc DEF', 'ltr', null, null, '0f', 'right', ['1b', '2b', '3b', '4b', '6f', '5f', '4f']],
+    ['left across an RTL run', 'abc DEF', 'ltr', null, null, '4f', 'left', ['5b', '6b', '7b', '3f', '2f', '1f', '0f']],
+    ['right in RTL text', 'ABC def', 'rtl', null, null, '7b', 'right', ['3f', '2f', '1f', '0f']],
+    ['left in RTL text', 'ABC def', 'rtl', null, null, '0f', 'left', ['1b', '2b', '3b', '4b', '6f', '5f', '4f']],
+    ['surrogate pairs move as one', 'a\u{1D400}b', 'ltr', null, null, '0f', 'right', ['1b', '3b', '4b']],
+    ['RTL surrogate pairs', '\u{1E900}\u{1E901}', 'rtl', null, null, '4b', 'right', ['2f', '0f']],
+    ['within a line', 'ab\ncd', 'ltr', 3, 4, '3f', 'right', ['4b', '5b']],
+    ['at the right end', 'abc', 'ltr', null, null, '3b', 'right', []],
+    ['at the left end', 'abc', 'ltr', null, null, '0f', 'left', []],
+    ['empty line', '', 'ltr', null, null, '0f', 'right', []]
+  ]
+
+  // [name, text, direction, starting caret, direction, expected carets until null]
+  const wordCases = [
+    ['right by word', 'abc DEF ghi', 'ltr', '0f', 'right', ['3b', '4f', '11b']],
+    ['left by word', 'abc DEF ghi', 'ltr', '11b', 'left', ['8f', '7b', '0f']],
+    ['right by word in RTL text', 'ABC def', 'rtl', '7b', 'right', ['0f']],
+    ['surrounding whitespace is skipped', '  ab  cd  ', 'ltr', '0f', 'right', ['4b', '8b', '10b']]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  let total = 0
+
+  function check (name, expected, received) {
+    total++
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Caret test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  }
+
+  function collectMoves (move, text, caret) {
+    const carets = []
+    for (let moved = move(parseCaret(caret)); moved && carets.length <= text.length; moved = move(moved)) {
+      carets.push(formatCaret(moved))
+    }
+    return carets
+  }
+
+  visualIndexCases.forEach(([name, text, direction, start, end, carets, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    check(name, expected, carets.map(caret => bidi.getCaretVisualIndex(text, embeddingLevels, parseCaret(caret), start, end)))
+  })
+
+  moveCases.forEach(([name, text, direction, start, end, caret, moveDirection, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    check(name, expected, collectMoves(
+      caret => bidi.moveCaretVisually(text, embeddingLevels, caret, moveDirection, start, end), text, caret
+    ))
+  })
+
+  wordCases.forEach(([name, text, direction, caret, moveDirection, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    check(name, expected, collectMoves(
+      caret => bidi.moveCaretByWordVisually(text, embeddingLevels, caret, moveDirection), text, caret
+    ))
+  })
+
+  console.log(`Caret Tests: ${total} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
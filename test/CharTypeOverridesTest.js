@@ -0,0 +1,62 @@
+/*
+ Checks that charTypeOverrides are respected both when resolving embedding levels and when rule L1 resets
+ the levels of whitespace and separators at the end of a line. Strings are written with uppercase ASCII letters
+ standing in for Hebrew ones.
+ */
+module.exports.runCharTypeOverridesTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+  const codePoint = char => toHebrew(char).codePointAt(0)
+
+  // [name, text, direction, overrides, expected levels]
+  const levelCases = [
+    ['no overrides', '~abc', 'auto', null, [0, 0, 0, 0]],
+    ['Map override', '~abc', 'auto', new Map([[0x7E, 'R']]), [1, 2, 2, 2]],
+    ['function override', 'a\uE000\uE001b', 'ltr', cp => cp >= 0xE000 && cp <= 0xE0FF ? 'R' : null, [0, 1, 1, 0]],
+    ['unknown type names are ignored', 'abc', 'rtl', new Map([[0x61, 'XX']]), [2, 2, 2]],
+    ['supplementary code points', 'a\u{F0000}', 'ltr', new Map([[0xF0000, 'R']]), [0, 1, 1]],
+    ['overridden to a segment separator', 'DE~FG', 'ltr', new Map([[0x7E, 'S']]), [1, 1, 0, 1, 1]],
+    ['overridden from a segment separator', 'DE\tFG', 'ltr', new Map([[0x09, 'ON']]), [1, 1, 1, 1, 1]],
+    ['overridden to whitespace at the end of a paragraph', 'DEF', 'ltr', new Map([[codePoint('F'), 'WS']]), [1, 1, 0]]
+  ]
+
+  // [name, text, direction, overrides, line start, line end, expected reorder segments of the line]
+  const lineCases = [
+    ['trailing whitespace', 'DEFG abc', 'ltr', null, 0, 2, [[0, 2]]],
+    ['overridden to whitespace at the end of a line', 'DEFG abc', 'ltr', new Map([[codePoint('F'), 'WS']]), 0, 2, [[0, 1]]],
+    ['trailing space', 'DE FG', 'ltr', null, 0, 2, [[0, 1]]],
+    ['overridden from whitespace at the end of a line', 'DE FG', 'ltr', new Map([[0x20, 'R']]), 0, 2, [[0, 2]]],
+    ['overridden to a segment separator within a line', 'DE~FG', 'ltr', new Map([[0x7E, 'S']]), 0, 4, [[0, 1], [3, 4]]]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  let total = 0
+
+  function check (name, expected, received) {
+    total++
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Char type overrides test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  }
+
+  levelCases.forEach(([name, text, direction, charTypeOverrides, expected]) => {
+    text = toHebrew(text)
+    check(name, expected, Array.from(bidi.getEmbeddingLevels(text, direction, { charTypeOverrides }).levels))
+  })
+
+  lineCases.forEach(([name, text, direction, charTypeOverrides, start, end, expected]) => {
+    text = toHebrew(text)
+    const options = { charTypeOverrides }
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction, options)
+    check(name, expected, bidi.getReorderSegments(text, embeddingLevels, start, end, options))
+  })
+
+  console.log(`Char Type Overrides Tests: ${total} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,56 @@
+const { execFileSync } = require('child_process')
+const path = require('path')
+
+/*
+ Runs the `bidi` command-line tool on some input and checks its JSON output. It uses the built dist file, so
+ this only runs as part of the build tests.
+ */
+module.exports.runCliTest = function () {
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD'
+  const cli = path.join(__dirname, '../bin/bidi.js')
+  const run = (args, input) => JSON.parse(execFileSync(process.execPath, [cli, '--json'].concat(args), { input, encoding: 'utf8' }))
+
+  const cases = [
+    {
+      name: 'whole input',
+      received: () => {
+        const [result] = run([], `abc ${HEBREW}\n`)
+        return [result.visual, result.paragraphs[0].level, result.characters[4].type, result.characters[4].level]
+      },
+      expected: [`abc ${HEBREW.split('').reverse().join('')}`, 0, 'R', 1]
+    },
+    {
+      name: 'per line with direction',
+      received: () => run(['--lines', '--direction', 'rtl'], `abc\n${HEBREW}`).map(result => [result.line, result.paragraphs[0].level, result.segments.length]),
+      expected: [[1, 1, 0], [2, 1, 1]]
+    },
+    {
+      name: 'supplementary characters',
+      received: () => run([], '\u{1E900}a')[0].characters.map(char => [char.index, char.codePoint, char.type]),
+      expected: [[0, 'U+1E900', 'R'], [2, 'U+0061', 'L']]
+    }
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(({ name, received, expected }) => {
+    let result
+    try {
+      result = JSON.stringify(received())
+    } catch (err) {
+      result = err.message
+    }
+    if (result === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`CLI test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${result}`)
+    }
+  })
+
+  console.log(`CLI Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
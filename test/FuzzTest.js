@@ -0,0 +1,140 @@
+const { createReferenceBidi } = require('./ReferenceBidi.js')
+
+/*
+ Differential fuzz test: generates seeded pseudo-random strings and checks that getEmbeddingLevels and
+ getReorderedIndices agree with the literal reference implementation in ReferenceBidi.js. Characters removed by
+ rule X9 are excluded from the comparison, since the reference implementation gives them no level or position.
+ Any failing input is minimized before being reported.
+ */
+
+// Pieces that strings are built from, covering every bidi type plus brackets, surrogate pairs, and runs of
+// explicit formatting characters long enough to overflow the maximum depth
+const TOKENS = [
+  'a', 'b', '\u05D0', '\u05D1', '\u0627', '\u0628', '1', '2', '\u0661', '\u06F1', '+', '-', '$', '%', ',', '.', ':',
+  '\u0300', '\u200B', '\u00AD', '\n', '\u2029', '\t', '\u001F', ' ', '\u2003', '!', '"', '(', ')', '[', ']', '\u2329',
+  '\u232A', '\u3008', '\u3009', '\u200E', '\u200F', '\u061C', '\u200D', '\u202A', '\u202B', '\u202C', '\u202D',
+  '\u202E', '\u2066', '\u2067', '\u2068', '\u2069', '\u{1E900}', '\u{1D400}', '\u{1F600}',
+  '\u202B'.repeat(64), '\u2067'.repeat(64), '\u202D\u202E'.repeat(32), '\u2069'.repeat(8), '\u202C'.repeat(8)
+]
+
+const DIRECTIONS = ['ltr', 'rtl', 'auto']
+
+// Inputs that have failed before, checked ahead of the generated ones whatever the seed
+const REGRESSIONS = [
+  ['\u202B\u3008\u202C\u202B1', 'rtl'] //retained X9 characters given a level that split runs in L2
+]
+
+/**
+ * Small seeded PRNG (mulberry32), so failures can be reproduced from the seed
+ */
+function createRandom (seed) {
+  let state = seed >>> 0
+  return function random (n) {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return (((t ^ (t >>> 14)) >>> 0) % n)
+  }
+}
+
+/**
+ * Compare the implementation against the reference for a string, returning a description of the first
+ * difference, or null if they agree
+ */
+function findDifference (bidi, reference, string, direction) {
+  const expected = reference.resolve(string, direction)
+  const result = bidi.getEmbeddingLevels(string, direction)
+  for (let i = 0; i < string.length; i++) {
+    if (expected.levels[i] !== null && expected.levels[i] !== result.levels[i]) {
+      return `level at index ${i}: expected ${expected.levels[i]}, received ${result.levels[i]}`
+    }
+  }
+  const order = Array.from(bidi.getReorderedIndices(string, result)).filter(i => expected.levels[i] !== null)
+  if (order.join(',') !== expected.visualOrder.join(',')) {
+    return `visual order: expected ${expected.visualOrder.join(',')}, received ${order.join(',')}`
+  }
+  return null
+}
+
+/**
+ * Shrink a failing list of tokens by repeatedly removing chunks of it, and then splitting multi-character tokens,
+ * for as long as it keeps failing
+ */
+function minimize (tokens, fails) {
+  let chunkSize = tokens.length >> 1
+  while (chunkSize >= 1) {
+    let removedAny = false
+    for (let start = 0; start < tokens.length;) {
+      const candidate = tokens.slice(0, start).concat(tokens.slice(start + chunkSize))
+      if (fails(candidate)) {
+        tokens = candidate
+        removedAny = true
+      } else {
+        start += chunkSize
+      }
+    }
+    if (!removedAny) {
+      chunkSize >>= 1
+    }
+  }
+  const split = [].concat(...tokens.map(token => Array.from(token)))
+  return split.length > tokens.length ? minimize(split, fails) : tokens
+}
+
+function formatString (string) {
+  return Array.from(string).map(char => 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')).join(' ')
+}
+
+/**
+ * @param {object} bidi - the implementation under test
+ * @param {object} [options]
+ * @param {number} [options.seed=1]
+ * @param {number} [options.count=3000] - number of strings to test
+ * @param {number} [options.maxTokens=24] - maximum number of tokens per string
+ * @param {number} [options.maxFailures=5] - stop after reporting this many failures
+ */
+module.exports.runFuzzTest = function (bidi, options) {
+  const { seed = 1, count = 3000, maxTokens = 24, maxFailures = 5 } = options || {}
+  const reference = createReferenceBidi(bidi)
+  const random = createRandom(seed)
+  const start = Date.now()
+
+  let passCount = 0
+  let failCount = 0
+  REGRESSIONS.forEach(([string, direction]) => {
+    const difference = findDifference(bidi, reference, string, direction)
+    if (!difference) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Fuzz test regression failed (direction ${direction}):
+  Input:     ${formatString(string)}
+  ${difference}`)
+    }
+  })
+  for (let n = 0; n < count && failCount < maxFailures; n++) {
+    const tokens = []
+    for (let i = random(maxTokens + 1); i > 0; i--) {
+      // Favor the single-character tokens; the long runs are at the end of the list
+      tokens.push(TOKENS[random(random(8) ? TOKENS.length - 5 : TOKENS.length)])
+    }
+    const direction = DIRECTIONS[random(DIRECTIONS.length)]
+    const difference = findDifference(bidi, reference, tokens.join(''), direction)
+    if (!difference) {
+      passCount++
+    } else {
+      failCount++
+      const minimal = minimize(tokens, candidate => !!findDifference(bidi, reference, candidate.join(''), direction)).join('')
+      console.error(`Fuzz test failed (seed ${seed}, string #${n}, direction ${direction}):
+  Input:     ${formatString(tokens.join(''))}
+  Minimized: ${formatString(minimal)}
+  ${findDifference(bidi, reference, minimal, direction)}`)
+    }
+  }
+
+  console.log(`Bidi Fuzz Tests (seed ${seed}): ${passCount + failCount} total, ${passCount} passed, ${failCount} failed`)
+  console.log(`    ${Date.now() - start}ms total`)
+
+  return failCount ? 1 : 0
+}
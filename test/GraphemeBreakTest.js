@@ -0,0 +1,88 @@
+const { readFileSync } = require('fs')
+const path = require('path')
+const { performance } = require('perf_hooks')
+
+/*
+ Runs the grapheme cluster conformance test (GraphemeBreakTest.txt) against the built-in segmentation rules,
+ with Intl.Segmenter hidden. The clusters are read back through the keepGraphemeClusters reorder option: with
+ every character at level 1 the whole line is reversed as one segment, so each cluster is a run of consecutive
+ indices and each cluster but the first starts wherever the indices stop counting up.
+ */
+module.exports.runGraphemeBreakTest = function (bidi) {
+  const text = readFileSync(path.join(__dirname, './GraphemeBreakTest.txt'), 'utf-8')
+  const lines = text.split('\n')
+
+  const BAIL_COUNT = 10
+
+  let testCount = 0
+  let passCount = 0
+  let failCount = 0
+  let totalTime = 0
+
+  const Segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  if (Segmenter) {
+    Intl.Segmenter = undefined
+  }
+  try {
+    lines.forEach((line, lineIdx) => {
+      line = line.split('#')[0].trim()
+      if (line) {
+        // Lines are like "÷ 0020 × 0308 ÷ 0020 ÷", with ÷ marking cluster boundaries
+        const tokens = line.split(/\s+/)
+        let input = ''
+        const expectedBreaks = []
+        for (let i = 1; i < tokens.length - 1; i++) {
+          if (tokens[i] === '÷') {
+            expectedBreaks.push(input.length)
+          } else if (tokens[i] !== '×') {
+            input += String.fromCodePoint(parseInt(tokens[i], 16))
+          }
+        }
+
+        const embeddingLevels = {
+          paragraphs: [{ start: 0, end: input.length - 1, level: 1 }],
+          levels: new Uint8Array(input.length).fill(1)
+        }
+        const start = performance.now()
+        const indices = bidi.getReorderedIndices(input, embeddingLevels, 0, input.length - 1, { keepGraphemeClusters: true })
+        totalTime += performance.now() - start
+
+        const receivedBreaks = []
+        for (let i = 0; i < indices.length; i++) {
+          if (indices[i] && indices[i] !== indices[i - 1] + 1) {
+            receivedBreaks.push(indices[i])
+          }
+        }
+        receivedBreaks.sort((a, b) => a - b)
+
+        const ok = expectedBreaks.join(',') === receivedBreaks.join(',')
+
+        testCount++
+        if (ok) {
+          passCount++
+        } else {
+          if (++failCount <= BAIL_COUNT) {
+            console.error(`Test on line ${lineIdx + 1}:
+  Input:           ${line}
+  Expected breaks: ${expectedBreaks.join(' ')}
+  Received breaks: ${receivedBreaks.join(' ')}`)
+          }
+        }
+      }
+    })
+  } finally {
+    if (Segmenter) {
+      Intl.Segmenter = Segmenter
+    }
+  }
+
+  let message = `Grapheme Break Tests: ${testCount} total, ${passCount} passed, ${failCount} failed`
+  if (failCount >= BAIL_COUNT) {
+    message += ` (only first ${BAIL_COUNT} failures shown)`
+  }
+  message += `\n    ${totalTime.toFixed(4)}ms total, ${(totalTime / testCount).toFixed(4)}ms average`
+
+  console.log(message)
+
+  return failCount ? 1 : 0
+}
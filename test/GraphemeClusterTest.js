@@ -0,0 +1,48 @@
+/*
+ Checks that the keepGraphemeClusters option keeps grapheme clusters intact when reordering, both using
+ Intl.Segmenter and, with it hidden, the built-in segmentation rules.
+ */
+module.exports.runGraphemeClusterTest = function (bidi) {
+  const cases = [
+    ['combining marks stay after their base (L3)', '\u05D0\u05B8\u05D1\u0301', 'rtl', '\u05D1\u0301\u05D0\u05B8'],
+    ['marks on LTR text are unaffected', 'a\u0301b', 'rtl', 'a\u0301b'],
+    ['emoji ZWJ sequence', '\u05D0 \u{1F468}\u200D\u{1F469}\u200D\u{1F467}', 'rtl', '\u{1F468}\u200D\u{1F469}\u200D\u{1F467} \u05D0'],
+    ['emoji modifiers and variation selectors', '\u05D0\u{1F44D}\u{1F3FD}\u2764\uFE0F', 'rtl', '\u2764\uFE0F\u{1F44D}\u{1F3FD}\u05D0'],
+    ['regional indicator pairs', '\u202E\u{1F1EE}\u{1F1F1}\u{1F1FA}\u{1F1F8}\u202C', 'ltr', '\u202E\u{1F1FA}\u{1F1F8}\u{1F1EE}\u{1F1F1}\u202C'],
+    ['Hangul jamo', '\u05D0 \u1100\u1161\u11A8!', 'rtl', '!\u1100\u1161\u11A8 \u05D0'],
+    ['Arabic with marks', '\u0628\u064E\u064A\u0651', 'auto', '\u064A\u0651\u0628\u064E']
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  const Segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  const modes = Segmenter ? ['Intl.Segmenter', 'built-in'] : ['built-in']
+
+  modes.forEach(mode => {
+    if (mode === 'built-in' && Segmenter) {
+      Intl.Segmenter = undefined
+    }
+    try {
+      cases.forEach(([name, text, direction, expected]) => {
+        const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+        const received = bidi.getReorderedString(text, embeddingLevels, 0, text.length - 1, { keepGraphemeClusters: true })
+        if (received === expected) {
+          passCount++
+        } else {
+          failCount++
+          console.error(`Grapheme cluster test "${name}" (${mode}):
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+        }
+      })
+    } finally {
+      if (Segmenter) {
+        Intl.Segmenter = Segmenter
+      }
+    }
+  })
+
+  console.log(`Grapheme Cluster Tests: ${cases.length * modes.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,69 @@
+/*
+ Checks the character x offsets from getCharacterXOffsets, and hit-testing with getCharacterAtX, on mixed-direction
+ lines. Strings are written with uppercase ASCII letters standing in for Hebrew ones, and hits as the index of
+ the character followed by "L" or "T" for its leading or trailing half.
+ */
+module.exports.runHitTestingTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+  const TENS = new Array(20).fill(10)
+
+  // [name, text, direction, advances, line start, line end, expected offsets]
+  const offsetCases = [
+    ['LTR text', 'abc', 'ltr', [1, 2, 3], null, null, [0, 1, 3]],
+    ['RTL run in LTR text', 'abc DEF', 'ltr', [1, 2, 3, 4, 5, 6, 7], null, null, [0, 1, 3, 6, 23, 17, 10]],
+    ['RTL text', 'ABC def', 'rtl', TENS, null, null, [60, 50, 40, 30, 0, 10, 20]],
+    ['line within the text', 'abc\nDEF', 'ltr', TENS, 4, 6, [20, 10, 0]],
+    ['surrogate pairs', 'a\u{1D400}b', 'ltr', [10, 20, 0, 10], null, null, [0, 10, 30, 30]]
+  ]
+
+  // [name, text, direction, advances, line start, line end, x coordinates, expected hits]
+  const hitCases = [
+    ['halves of LTR characters', 'abc', 'ltr', TENS, null, null, [0, 4, 5, 14, 16, 29], ['0L', '0L', '0T', '1L', '1T', '2T']],
+    ['halves of RTL characters', 'ABC', 'rtl', TENS, null, null, [0, 6, 14, 16, 25], ['2T', '2L', '1T', '1L', '0L']],
+    ['at run boundaries', 'abc DEF', 'ltr', TENS, null, null, [29, 35, 39, 40, 45, 69], ['2T', '3T', '3T', '6T', '6L', '4L']],
+    ['at run boundaries in RTL text', 'ABC def', 'rtl', TENS, null, null, [0, 29, 30, 39, 40], ['4L', '6T', '3T', '3L', '2T']],
+    ['before and after the line', 'abc DEF', 'ltr', TENS, null, null, [-5, 100], ['0L', '4L']],
+    ['before and after an RTL line', 'ABC def', 'rtl', TENS, null, null, [-5, 100], ['4L', '0L']],
+    ['line within the text', 'abc\nDEF', 'ltr', TENS, 4, 6, [4, 14, 24], ['6T', '5T', '4T']],
+    ['surrogate pairs', 'a\u{1D400}b', 'ltr', [10, 20, 0, 10], null, null, [15, 25, 34], ['1L', '1T', '3L']],
+    ['the middle of a character is in its right half', 'aB', 'ltr', TENS, null, null, [5, 15], ['0T', '1L']],
+    ['varying advances', 'abc', 'ltr', [2, 20, 2], null, null, [0, 3, 11, 12, 22], ['0L', '1L', '1L', '1T', '2L']]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  let total = 0
+
+  function check (name, expected, received) {
+    total++
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Hit testing test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  }
+
+  offsetCases.forEach(([name, text, direction, advances, start, end, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    check(`x offsets, ${name}`, expected, bidi.getCharacterXOffsets(text, embeddingLevels, advances, start, end))
+  })
+
+  hitCases.forEach(([name, text, direction, advances, start, end, xs, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    check(`hits, ${name}`, expected, xs.map(x => {
+      const hit = bidi.getCharacterAtX(text, embeddingLevels, advances, x, start, end)
+      return hit && hit.index + (hit.trailing ? 'T' : 'L')
+    }))
+  })
+
+  check('hits, empty line', null, bidi.getCharacterAtX('', bidi.getEmbeddingLevels(''), [], 0))
+
+  console.log(`Hit Testing Tests: ${total} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,69 @@
+/*
+ Checks the joining types and groups, and the contextual forms from getJoiningForms. Expected forms are written
+ one letter per index: i(nitial), m(edial), f(inal), s (isolated), or "." for none.
+ */
+module.exports.runJoiningTest = function (bidi) {
+  const LETTERS_TO_FORMS = { i: 'initial', m: 'medial', f: 'final', s: 'isolated', '.': null }
+
+  const formsCases = [
+    ['dual and right joining', '\u0628\u064A\u062A', 'auto', [], 'imf', []],
+    ['transparent marks are skipped', '\u0628\u064E\u064A\u062A', 'auto', [], 'i.mf', []],
+    ['right joining letters break joins', '\u062F\u0627\u0631', 'auto', [], 'sss', []],
+    ['lam-alef within a word', '\u0633\u0644\u0627\u0645', 'auto', [], 'imfs', [[1, 2]]],
+    ['lam-alef alone', '\u0644\u0623', 'auto', [], 'if', [[0, 1]]],
+    ['lam-alef with a mark between', '\u0644\u0651\u0627', 'auto', [], 'i.f', [[0, 2]]],
+    ['zero width joiner', '\u0628\u200D', 'auto', [], 'i.', []],
+    ['zero width non-joiner', '\u0628\u200C\u064A', 'auto', [], 's.s', []],
+    ['tatweel', '\u0640\u0628\u0640', 'auto', [], '.m.', []],
+    ['different embedding levels', '\u0628\u202A\u0628\u202C', 'rtl', [], 's.s.', []],
+    ['non-joining letters between', '\u0628a\u0628', 'auto', [], 's.s', []],
+    ['range', '\u0628\u064A\u062A', 'auto', [1, 2], '.if', []],
+    ['supplementary characters', '\u{1E900}\u{1E901}', 'auto', [], 'i.f.', []]
+  ]
+
+  const propertyCases = [
+    ['getJoiningType', '\u0644', 'D'],
+    ['getJoiningType', '\u0627', 'R'],
+    ['getJoiningType', '\u0640', 'C'],
+    ['getJoiningType', '\u064E', 'T'],
+    ['getJoiningType', 'a', 'U'],
+    ['getJoiningGroup', '\u0623', 'ALEF'],
+    ['getJoiningGroup', '\u06CC', 'FARSI_YEH'],
+    ['getJoiningGroup', 'a', null]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+
+  formsCases.forEach(([name, text, direction, [start, end], expectedForms, expectedLigatures]) => {
+    const expected = JSON.stringify({
+      forms: expectedForms.split('').map(letter => LETTERS_TO_FORMS[letter]),
+      lamAlefLigatures: expectedLigatures
+    })
+    const received = JSON.stringify(bidi.getJoiningForms(text, bidi.getEmbeddingLevels(text, direction), start, end))
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Joining forms test "${name}":
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  })
+
+  propertyCases.forEach(([fn, char, expected]) => {
+    const received = bidi[fn](char)
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Joining test ${fn}(U+${char.codePointAt(0).toString(16).toUpperCase()}):
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  })
+
+  console.log(`Joining Tests: ${formsCases.length + propertyCases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
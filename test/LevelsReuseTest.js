@@ -0,0 +1,78 @@
+/*
+ Checks that a caller-provided levels array is filled and returned, that one too short is rejected, and that
+ the scratch buffers shared between calls never leak one call's state into another's result.
+ */
+module.exports.runLevelsReuseTest = function (bidi) {
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD'
+  const TEXT = `abc ${HEBREW} (123) \u2067${HEBREW} x\u2069\n${HEBREW} 4.5`
+  const OTHER_TEXT = `\u202Eabc\u202C ${HEBREW}\u2029\u202A1 2\u202C`
+
+  function snapshot (result) {
+    return JSON.stringify({
+      levels: Array.from(result.levels),
+      paragraphs: result.paragraphs
+    })
+  }
+
+  const expected = snapshot(bidi.getEmbeddingLevels(TEXT, 'auto'))
+
+  const cases = [
+    ['fills and returns the given levels array', () => {
+      const levels = new Uint8Array(TEXT.length)
+      const result = bidi.getEmbeddingLevels(TEXT, 'auto', { levels })
+      return result.levels === levels && snapshot(result) === expected
+    }],
+    ['leaves entries past the end of the string untouched', () => {
+      const levels = new Uint8Array(TEXT.length + 4).fill(9)
+      const result = bidi.getEmbeddingLevels(TEXT, 'auto', { levels })
+      return result.levels === levels &&
+        Array.from(levels.subarray(TEXT.length)).join() === '9,9,9,9' &&
+        JSON.stringify(Array.from(levels.subarray(0, TEXT.length))) === JSON.stringify(JSON.parse(expected).levels)
+    }],
+    ['rejects a levels array that is too short', () => {
+      try {
+        bidi.getEmbeddingLevels(TEXT, 'auto', { levels: new Uint8Array(TEXT.length - 1) })
+      } catch (e) {
+        return e instanceof Error && /too short/.test(e.message)
+      }
+      return false
+    }],
+    ['back-to-back calls leave earlier results intact', () => {
+      const first = bidi.getEmbeddingLevels(TEXT, 'auto')
+      bidi.getEmbeddingLevels(OTHER_TEXT, 'rtl')
+      bidi.getEmbeddingLevels('', 'ltr')
+      return snapshot(first) === expected
+    }],
+    ['a call nested within another gives both correct results', () => {
+      const expectedInner = snapshot(bidi.getEmbeddingLevels(OTHER_TEXT, 'rtl'))
+      let inner = null
+      const outer = bidi.getEmbeddingLevels(TEXT, 'auto', {
+        // Called for each character as its type is read, after the outer call has started writing its state
+        charTypeOverrides: () => {
+          inner = bidi.getEmbeddingLevels(OTHER_TEXT, 'rtl')
+          return null
+        }
+      })
+      return !!inner && snapshot(inner) === expectedInner && snapshot(outer) === expected
+    }],
+    ['results after a longer string are unaffected by its leftover state', () => {
+      bidi.getEmbeddingLevels(OTHER_TEXT.repeat(50), 'rtl')
+      return snapshot(bidi.getEmbeddingLevels(TEXT, 'auto')) === expected
+    }]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, fn]) => {
+    if (fn()) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Levels reuse test "${name}" failed`)
+    }
+  })
+
+  console.log(`Levels Reuse Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
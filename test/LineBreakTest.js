@@ -0,0 +1,60 @@
+const { readFileSync } = require('fs')
+const path = require('path')
+const { performance } = require('perf_hooks')
+
+module.exports.runLineBreakTest = function (bidi) {
+  const text = readFileSync(path.join(__dirname, './LineBreakTest.txt'), 'utf-8')
+  const lines = text.split('\n')
+
+  const BAIL_COUNT = 10
+
+  let testCount = 0
+  let passCount = 0
+  let failCount = 0
+  let totalTime = 0
+
+  lines.forEach((line, lineIdx) => {
+    line = line.split('#')[0].trim()
+    if (line) {
+      // Lines are like "× 0023 × 0020 ÷ 0023 ÷", with ÷ marking allowed breaks
+      const tokens = line.split(/\s+/)
+      let input = ''
+      const expectedBreaks = []
+      for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i] === '÷') {
+          if (i > 0) expectedBreaks.push(input.length)
+        } else if (tokens[i] !== '×') {
+          input += String.fromCodePoint(parseInt(tokens[i], 16))
+        }
+      }
+
+      const start = performance.now()
+      const receivedBreaks = bidi.getLineBreakOpportunities(input).map(b => b.index)
+      totalTime += performance.now() - start
+
+      const ok = expectedBreaks.join(',') === receivedBreaks.join(',')
+
+      testCount++
+      if (ok) {
+        passCount++
+      } else {
+        if (++failCount <= BAIL_COUNT) {
+          console.error(`Test on line ${lineIdx + 1}:
+  Input:           ${line}
+  Expected breaks: ${expectedBreaks.join(' ')}
+  Received breaks: ${receivedBreaks.join(' ')}`)
+        }
+      }
+    }
+  })
+
+  let message = `Line Break Tests: ${testCount} total, ${passCount} passed, ${failCount} failed`
+  if (failCount >= BAIL_COUNT) {
+    message += ` (only first ${BAIL_COUNT} failures shown)`
+  }
+  message += `\n    ${totalTime.toFixed(4)}ms total, ${(totalTime / testCount).toFixed(4)}ms average`
+
+  console.log(message)
+
+  return failCount ? 1 : 0
+}
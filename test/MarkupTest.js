@@ -0,0 +1,89 @@
+/*
+ Checks that with the `markup` or `ignoreRanges` options, the characters outside the ignored ranges get the
+ same levels they would if the ignored characters were removed from the string, while the ignored characters
+ still get levels at their original indices. Also checks that the ignored ranges are kept on the result for the
+ reordering functions to reuse at line ends, instead of finding them again from the options.
+ */
+module.exports.runMarkupTest = function (bidi) {
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD'
+
+  // Each case's text is made of parts, where the ones in arrays are expected to be ignored
+  const cases = [
+    { name: 'tag attributes', parts: [`${HEBREW} `, ['<a href="x">'], 'abc', ['</a>'], '!'] },
+    { name: 'brackets in tags', parts: [`${HEBREW} `, ['<span title="(">'], 'a', ['</span>'], ' b)'] },
+    { name: 'quoted >', parts: ['abc ', ['<b data-x="a>b">'], HEBREW, ['</b>'], '.'] },
+    { name: 'comments', parts: [HEBREW, ['<!-- <p>abc</p> -->'], ' 1.'] },
+    { name: 'character references', parts: [`${HEBREW} `, ['&amp;&#x5D0;'], ' 1'] },
+    { name: 'not tags', parts: [`a < ${HEBREW} > b & c;`] },
+    { name: 'tag with a line break', parts: [`${HEBREW} `, ['<a\nhref="x">'], 'abc', ['</a>']] },
+    { name: 'ignore ranges', parts: [`${HEBREW} `, ['**'], 'abc', ['**'], ' ', ['['], 'x', ['](y)']], useRanges: true }
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(({ name, parts, useRanges }) => {
+    let text = ''
+    let plain = ''
+    const ignoreRanges = []
+    const keptIndices = []
+    parts.forEach(part => {
+      if (Array.isArray(part)) {
+        ignoreRanges.push([text.length, text.length + part[0].length - 1])
+        text += part[0]
+      } else {
+        for (let i = 0; i < part.length; i++) {
+          keptIndices.push(text.length + i)
+        }
+        text += part
+        plain += part
+      }
+    })
+
+    const { levels } = bidi.getEmbeddingLevels(text, 'auto', useRanges ? { ignoreRanges } : { markup: 'html' })
+    const expected = Array.from(bidi.getEmbeddingLevels(plain, 'auto').levels).join(',')
+    const received = keptIndices.map(i => levels[i]).join(',')
+    if (levels.length === text.length && received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Markup test "${name}":
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  })
+
+  const tagged = `${HEBREW} abc</b> def`
+  const taggedResult = bidi.getEmbeddingLevels(tagged, 'rtl', { markup: 'html' })
+  const checks = [
+    {
+      name: 'ignored ranges on the result',
+      expected: [[0, 2], [6, 9], [11, 13], [15, 18]],
+      received: bidi.getEmbeddingLevels('<b>abc</b> <i>x</i>', 'ltr', { markup: 'html' }).ignoredRanges
+    },
+    {
+      name: 'no ignored ranges on the result without the options',
+      expected: false,
+      received: 'ignoredRanges' in bidi.getEmbeddingLevels(tagged, 'rtl')
+    },
+    {
+      name: 'a trailing tag is reset at the line end using the ranges from the result',
+      expected: [[5, 7], [5, 11]],
+      received: bidi.getReorderSegments(tagged, taggedResult, 5, 11)
+    }
+  ]
+  checks.forEach(({ name, expected, received }) => {
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Markup test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  })
+
+  const total = cases.length + checks.length
+  console.log(`Markup Tests: ${total} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
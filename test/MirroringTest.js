@@ -0,0 +1,51 @@
+/*
+ Checks the character substitutions and glyph flips reported by getMirroredCharactersMap, and the
+ Bidi_Mirrored property from isBidiMirrored.
+ */
+module.exports.runMirroringTest = function (bidi) {
+  const mapCases = [
+    ['substitutions and flips', '\u05D0(\u2211\u221B\u27CC)', 'rtl', [], [[1, ')'], [5, '(']], [2, 3, 4]],
+    ['nothing mirrored in LTR text', 'a(\u2211)', 'ltr', [], [], []],
+    ['supplementary characters', '\u05D0\u{1D6DB}', 'rtl', [], [], [1]],
+    ['range', '\u05D0\u2211(\u2211)', 'rtl', [2, 3], [[2, ')']], [3]]
+  ]
+
+  const propertyCases = [
+    ['(', true],
+    ['\u2211', true],
+    ['\u{1D6DB}', true],
+    ['a', false],
+    ['-', false]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+
+  function check (name, expected, received) {
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Mirroring test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  }
+
+  mapCases.forEach(([name, text, direction, [start, end], expectedSubstitutions, expectedFlips]) => {
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    const expected = { substitutions: expectedSubstitutions, flippedIndices: expectedFlips }
+    // Both the result object and its levels array are accepted
+    ;[embeddingLevels, embeddingLevels.levels].forEach(levels => {
+      const map = bidi.getMirroredCharactersMap(text, levels, start, end)
+      check(name, expected, { substitutions: Array.from(map), flippedIndices: map.flippedIndices })
+    })
+  })
+  propertyCases.forEach(([char, expected]) => {
+    check(`isBidiMirrored(U+${char.codePointAt(0).toString(16).toUpperCase()})`, expected, bidi.isBidiMirrored(char))
+  })
+
+  console.log(`Mirroring Tests: ${mapCases.length * 2 + propertyCases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,61 @@
+/*
+ Checks per-paragraph base directions given as arrays and callbacks, auto-detection with a fallback, and the
+ levelSource reported for each paragraph, from both getEmbeddingLevels and updateEmbeddingLevels.
+ */
+module.exports.runParagraphDirectionTest = function (bidi) {
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD'
+  const TEXT = `abc\n123\n${HEBREW}\n!!` //paragraphs: LTR, neutral, RTL, neutral
+
+  const callbackArgs = []
+  const cases = [
+    ['auto', 'auto', '0 detected, 0 defaulted, 1 detected, 0 defaulted'],
+    ['default', undefined, '0 detected, 0 defaulted, 1 detected, 0 defaulted'],
+    ['forced', 'rtl', '1 explicit, 1 explicit, 1 explicit, 1 explicit'],
+    ['auto with fallback', { auto: true, fallback: 'rtl' }, '0 detected, 1 defaulted, 1 detected, 1 defaulted'],
+    ['fallback without auto', { fallback: 'rtl' }, '1 explicit, 1 explicit, 1 explicit, 1 explicit'],
+    ['array', ['rtl', 'ltr', 'ltr', 'rtl'], '1 explicit, 0 explicit, 0 explicit, 1 explicit'],
+    ['array with missing entries', ['rtl', { auto: true, fallback: 'rtl' }], '1 explicit, 1 defaulted, 1 detected, 0 defaulted'],
+    ['callback', (index, start, end) => {
+      callbackArgs.push([index, start, end])
+      return index % 2 ? { auto: true, fallback: 'rtl' } : 'auto'
+    }, '0 detected, 1 defaulted, 1 detected, 1 defaulted']
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  let total = 0
+
+  function check (name, expected, received) {
+    total++
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Paragraph direction test "${name}":
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  }
+
+  function describe (embeddingLevels) {
+    return embeddingLevels.paragraphs.map(({ level, levelSource }) => `${level} ${levelSource}`).join(', ')
+  }
+
+  cases.forEach(([name, direction, expected]) => {
+    const embeddingLevels = bidi.getEmbeddingLevels(TEXT, direction)
+    check(name, expected, describe(embeddingLevels))
+
+    // Incremental updates must agree with a full resolution of the edited string
+    const edited = TEXT.slice(0, 4) + 'x' + TEXT.slice(7)
+    const expectedUpdate = bidi.getEmbeddingLevels(edited, direction)
+    const updated = bidi.updateEmbeddingLevels(TEXT, embeddingLevels, 4, 3, 'x', direction)
+    check(`${name}, updated`, `${describe(expectedUpdate)} / ${expectedUpdate.levels.join('')}`,
+      `${describe(updated)} / ${updated.levels.join('')}`)
+  })
+
+  check('callback arguments', '[[0,0,3],[1,4,7],[2,8,12],[3,13,14]]', JSON.stringify(callbackArgs.slice(0, 4)))
+
+  console.log(`Paragraph Direction Tests: ${total} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,464 @@
+/*
+ A deliberately slow and literal implementation of the Unicode Bidirectional Algorithm (UAX #9), written rule by
+ rule from the text of the specification to serve as an oracle for differential testing of the optimized one in
+ src/. Unlike that one it really removes the characters dropped by rule X9 instead of retaining them as
+ described in section 5.2, works on arrays of code points and type names, and makes no attempt at efficiency.
+
+ Only the character data (bidi types and paired brackets) is taken from the implementation under test, so that
+ any difference found is in the algorithm rather than in the data.
+ */
+
+const MAX_DEPTH = 125
+const ISOLATE_INITIATORS = ['LRI', 'RLI', 'FSI']
+const REMOVED_BY_X9 = ['RLE', 'LRE', 'RLO', 'LRO', 'PDF', 'BN']
+const NEUTRALS_AND_ISOLATES = ['B', 'S', 'WS', 'ON', 'LRI', 'RLI', 'FSI', 'PDI']
+
+module.exports.createReferenceBidi = function (bidi) {
+  /**
+   * @param {string} string
+   * @param {"ltr"|"rtl"|"auto"} baseDirection
+   * @return {{levels: (number|null)[], visualOrder: number[]}} - the resolved level of each UTF-16 index of the
+   *         string, with null for characters removed by X9, and the indices of the remaining characters in visual
+   *         order after L1 and L2, with each paragraph treated as a single line
+   */
+  function resolve (string, baseDirection) {
+    // Work on code points, remembering the UTF-16 index each starts at
+    const chars = []
+    const unitIndices = []
+    for (let i = 0; i < string.length; i++) {
+      const codePoint = string.codePointAt(i)
+      chars.push(String.fromCodePoint(codePoint))
+      unitIndices.push(i)
+      if (codePoint > 0xFFFF) {
+        i++
+      }
+    }
+    const initialTypes = chars.map(char => bidi.getBidiCharTypeName(char))
+
+    const levels = new Array(chars.length).fill(null)
+    const visualOrder = []
+
+    // P1. Split the text into separate paragraphs, each including its paragraph separator
+    let paraStart = 0
+    for (let i = 0; i < chars.length; i++) {
+      if (initialTypes[i] === 'B' || i === chars.length - 1) {
+        resolveParagraph(paraStart, i)
+        paraStart = i + 1
+      }
+    }
+
+    function resolveParagraph (start, end) {
+      const indices = []
+      for (let i = start; i <= end; i++) {
+        indices.push(i)
+      }
+      const types = indices.map(i => initialTypes[i])
+
+      // BD9. The matching PDI of each isolate initiator, by index within the paragraph, or -1
+      const matchingPDI = types.map((type, i) => {
+        if (ISOLATE_INITIATORS.indexOf(type) === -1) {
+          return -1
+        }
+        let depth = 1
+        for (let j = i + 1; j < types.length; j++) {
+          if (ISOLATE_INITIATORS.indexOf(types[j]) !== -1) {
+            depth++
+          } else if (types[j] === 'PDI' && --depth === 0) {
+            return j
+          }
+        }
+        return -1
+      })
+      const hasMatchingInitiator = types.map(() => false)
+      matchingPDI.forEach(pdi => {
+        if (pdi !== -1) {
+          hasMatchingInitiator[pdi] = true
+        }
+      })
+
+      // P2-P3. Find the first strong character, skipping characters between an isolate initiator and its
+      // matching PDI (or the end of the paragraph)
+      function firstStrongLevel (from, to) {
+        for (let i = from; i < to; i++) {
+          if (types[i] === 'L') {
+            return 0
+          }
+          if (types[i] === 'R' || types[i] === 'AL') {
+            return 1
+          }
+          if (ISOLATE_INITIATORS.indexOf(types[i]) !== -1) {
+            if (matchingPDI[i] === -1) {
+              break
+            }
+            i = matchingPDI[i]
+          }
+        }
+        return null
+      }
+      const paragraphLevel = baseDirection === 'rtl' ? 1 : baseDirection === 'ltr' ? 0 : (firstStrongLevel(0, types.length) || 0)
+
+      // X1-X8. Explicit levels and directions
+      const resolvedTypes = types.slice()
+      const resolvedLevels = types.map(() => paragraphLevel)
+      const stack = [{ level: paragraphLevel, override: null, isolate: false }]
+      let overflowIsolateCount = 0
+      let overflowEmbeddingCount = 0
+      let validIsolateCount = 0
+      const leastGreaterOdd = level => level % 2 ? level + 2 : level + 1
+      const leastGreaterEven = level => level % 2 ? level + 1 : level + 2
+      for (let i = 0; i < types.length; i++) {
+        const type = types[i]
+        const top = stack[stack.length - 1]
+        if (type === 'RLE' || type === 'LRE' || type === 'RLO' || type === 'LRO') {
+          // X2-X5
+          const level = type[0] === 'R' ? leastGreaterOdd(top.level) : leastGreaterEven(top.level)
+          if (level <= MAX_DEPTH && overflowIsolateCount === 0 && overflowEmbeddingCount === 0) {
+            stack.push({ level, override: type[2] === 'O' ? type[0] : null, isolate: false })
+          } else if (overflowIsolateCount === 0) {
+            overflowEmbeddingCount++
+          }
+        } else if (ISOLATE_INITIATORS.indexOf(type) !== -1) {
+          // X5a-X5c
+          resolvedLevels[i] = top.level
+          if (top.override) {
+            resolvedTypes[i] = top.override
+          }
+          let isRTL = type === 'RLI'
+          if (type === 'FSI') {
+            isRTL = firstStrongLevel(i + 1, matchingPDI[i] === -1 ? types.length : matchingPDI[i]) === 1
+          }
+          const level = isRTL ? leastGreaterOdd(top.level) : leastGreaterEven(top.level)
+          if (level <= MAX_DEPTH && overflowIsolateCount === 0 && overflowEmbeddingCount === 0) {
+            validIsolateCount++
+            stack.push({ level, override: null, isolate: true })
+          } else {
+            overflowIsolateCount++
+          }
+        } else if (type === 'PDI') {
+          // X6a
+          if (overflowIsolateCount > 0) {
+            overflowIsolateCount--
+          } else if (validIsolateCount > 0) {
+            overflowEmbeddingCount = 0
+            while (!stack[stack.length - 1].isolate) {
+              stack.pop()
+            }
+            stack.pop()
+            validIsolateCount--
+          }
+          const newTop = stack[stack.length - 1]
+          resolvedLevels[i] = newTop.level
+          if (newTop.override) {
+            resolvedTypes[i] = newTop.override
+          }
+        } else if (type === 'PDF') {
+          // X7
+          if (overflowIsolateCount > 0) {
+            // do nothing
+          } else if (overflowEmbeddingCount > 0) {
+            overflowEmbeddingCount--
+          } else if (!top.isolate && stack.length >= 2) {
+            stack.pop()
+          }
+        } else if (type === 'B') {
+          // X8
+          resolvedLevels[i] = paragraphLevel
+        } else if (type !== 'BN') {
+          // X6
+          resolvedLevels[i] = top.level
+          if (top.override) {
+            resolvedTypes[i] = top.override
+          }
+        }
+      }
+
+      // X9. Remove the embedding and override characters, PDFs, and boundary neutrals
+      const kept = [] // positions within the paragraph
+      for (let i = 0; i < types.length; i++) {
+        if (REMOVED_BY_X9.indexOf(types[i]) === -1) {
+          kept.push(i)
+        }
+      }
+
+      // X10 / BD7. Level runs, as lists of positions within the paragraph
+      const levelRuns = []
+      kept.forEach((i, k) => {
+        if (k > 0 && resolvedLevels[i] === resolvedLevels[kept[k - 1]]) {
+          levelRuns[levelRuns.length - 1].push(i)
+        } else {
+          levelRuns.push([i])
+        }
+      })
+
+      // BD13. Isolating run sequences
+      const sequences = []
+      levelRuns.forEach(run => {
+        if (types[run[0]] === 'PDI' && hasMatchingInitiator[run[0]]) {
+          return //continues the sequence of its initiator
+        }
+        const sequence = run.slice()
+        let last = sequence[sequence.length - 1]
+        while (ISOLATE_INITIATORS.indexOf(types[last]) !== -1 && matchingPDI[last] !== -1) {
+          const nextRun = levelRuns.find(r => r[0] === matchingPDI[last])
+          if (!nextRun) {
+            break
+          }
+          sequence.push(...nextRun)
+          last = sequence[sequence.length - 1]
+        }
+        sequences.push(sequence)
+      })
+
+      // The levels from the explicit rules, which sos and eos are based on, before any get changed by I1-I2
+      const explicitLevels = resolvedLevels.slice()
+
+      sequences.forEach(sequence => {
+        const level = explicitLevels[sequence[0]]
+        const embeddingDirection = level % 2 ? 'R' : 'L'
+        const first = sequence[0]
+        const last = sequence[sequence.length - 1]
+        const keptPos = kept.indexOf(first)
+        const prevLevel = keptPos > 0 ? explicitLevels[kept[keptPos - 1]] : paragraphLevel
+        const sos = Math.max(prevLevel, level) % 2 ? 'R' : 'L'
+        let nextLevel = paragraphLevel
+        if (ISOLATE_INITIATORS.indexOf(resolvedTypes[last]) === -1) {
+          const lastKeptPos = kept.indexOf(last)
+          if (lastKeptPos < kept.length - 1) {
+            nextLevel = explicitLevels[kept[lastKeptPos + 1]]
+          }
+        }
+        const eos = Math.max(nextLevel, level) % 2 ? 'R' : 'L'
+
+        const t = sequence.map(i => resolvedTypes[i])
+        const n = t.length
+
+        // W1. NSMs take the type of the previous character, or ON after an isolate initiator or PDI, or sos
+        for (let k = 0; k < n; k++) {
+          if (t[k] === 'NSM') {
+            if (k === 0) {
+              t[k] = sos
+            } else {
+              t[k] = ISOLATE_INITIATORS.indexOf(t[k - 1]) !== -1 || t[k - 1] === 'PDI' ? 'ON' : t[k - 1]
+            }
+          }
+        }
+        // W2. ENs preceded by AL (searching back to the first strong type or sos) become AN
+        for (let k = 0; k < n; k++) {
+          if (t[k] === 'EN') {
+            for (let j = k - 1; j >= -1; j--) {
+              const prev = j === -1 ? sos : t[j]
+              if (prev === 'R' || prev === 'L' || prev === 'AL') {
+                if (prev === 'AL') {
+                  t[k] = 'AN'
+                }
+                break
+              }
+            }
+          }
+        }
+        // W3. AL becomes R
+        for (let k = 0; k < n; k++) {
+          if (t[k] === 'AL') {
+            t[k] = 'R'
+          }
+        }
+        // W4. A single ES between two ENs becomes EN; a single CS between two numbers of the same type becomes
+        // that type
+        for (let k = 1; k < n - 1; k++) {
+          if (t[k] === 'ES' && t[k - 1] === 'EN' && t[k + 1] === 'EN') {
+            t[k] = 'EN'
+          } else if (t[k] === 'CS' && (t[k - 1] === 'EN' || t[k - 1] === 'AN') && t[k + 1] === t[k - 1]) {
+            t[k] = t[k - 1]
+          }
+        }
+        // W5. A sequence of ETs adjacent to an EN becomes all ENs
+        for (let k = 0; k < n; k++) {
+          if (t[k] === 'ET') {
+            let runEnd = k
+            while (runEnd + 1 < n && t[runEnd + 1] === 'ET') {
+              runEnd++
+            }
+            if ((k > 0 && t[k - 1] === 'EN') || (runEnd + 1 < n && t[runEnd + 1] === 'EN')) {
+              for (let j = k; j <= runEnd; j++) {
+                t[j] = 'EN'
+              }
+            }
+            k = runEnd
+          }
+        }
+        // W6. Remaining separators and terminators become ON
+        for (let k = 0; k < n; k++) {
+          if (t[k] === 'ES' || t[k] === 'ET' || t[k] === 'CS') {
+            t[k] = 'ON'
+          }
+        }
+        // W7. ENs preceded by L (searching back to the first strong type or sos) become L
+        for (let k = 0; k < n; k++) {
+          if (t[k] === 'EN') {
+            for (let j = k - 1; j >= -1; j--) {
+              const prev = j === -1 ? sos : t[j]
+              if (prev === 'R' || prev === 'L') {
+                if (prev === 'L') {
+                  t[k] = 'L'
+                }
+                break
+              }
+            }
+          }
+        }
+
+        // N0. Paired brackets
+        const strongDirectionForN = type => type === 'L' ? 'L' : (type === 'R' || type === 'EN' || type === 'AN') ? 'R' : null
+        // BD16. Identify the bracket pairs, by position within the sequence
+        const pairs = []
+        const openers = []
+        for (let k = 0; k < n; k++) {
+          if (t[k] !== 'ON') {
+            continue
+          }
+          const char = chars[start + sequence[k]]
+          if (bidi.openingToClosingBracket(char)) {
+            if (openers.length === 63) {
+              break
+            }
+            openers.push(k)
+          } else if (bidi.closingToOpeningBracket(char)) {
+            const canonicalOpening = bidi.closingToOpeningBracket(bidi.getCanonicalBracket(char) || char)
+            for (let s = openers.length - 1; s >= 0; s--) {
+              const openingChar = chars[start + sequence[openers[s]]]
+              if ((bidi.getCanonicalBracket(openingChar) || openingChar) === canonicalOpening) {
+                pairs.push([openers[s], k])
+                openers.length = s
+                break
+              }
+            }
+          }
+        }
+        pairs.sort((a, b) => a[0] - b[0])
+        pairs.forEach(([open, close]) => {
+          let foundEmbeddingDirection = false
+          let foundOpposite = false
+          for (let k = open + 1; k < close; k++) {
+            const dir = strongDirectionForN(t[k])
+            if (dir === embeddingDirection) {
+              foundEmbeddingDirection = true
+            } else if (dir) {
+              foundOpposite = true
+            }
+          }
+          let newType = null
+          if (foundEmbeddingDirection) {
+            newType = embeddingDirection // N0 b
+          } else if (foundOpposite) {
+            // N0 c
+            let preceding = sos
+            for (let k = open - 1; k >= 0; k--) {
+              const dir = strongDirectionForN(t[k])
+              if (dir) {
+                preceding = dir
+                break
+              }
+            }
+            newType = preceding !== embeddingDirection ? preceding : embeddingDirection
+          }
+          if (newType) {
+            t[open] = t[close] = newType
+            // Characters originally NSM following a changed bracket take its type
+            ;[open, close].forEach(bracket => {
+              for (let k = bracket + 1; k < n && initialTypes[start + sequence[k]] === 'NSM'; k++) {
+                t[k] = newType
+              }
+            })
+          }
+        })
+
+        // N1-N2. Sequences of neutrals take the direction of the text on both sides if it's the same, otherwise
+        // the embedding direction
+        for (let k = 0; k < n; k++) {
+          if (NEUTRALS_AND_ISOLATES.indexOf(t[k]) !== -1) {
+            let runEnd = k
+            while (runEnd + 1 < n && NEUTRALS_AND_ISOLATES.indexOf(t[runEnd + 1]) !== -1) {
+              runEnd++
+            }
+            const before = k === 0 ? sos : strongDirectionForN(t[k - 1])
+            const after = runEnd === n - 1 ? eos : strongDirectionForN(t[runEnd + 1])
+            for (let j = k; j <= runEnd; j++) {
+              t[j] = before === after ? before : embeddingDirection
+            }
+            k = runEnd
+          }
+        }
+
+        // I1-I2. Implicit levels
+        sequence.forEach((i, k) => {
+          if (level % 2 === 0) {
+            resolvedLevels[i] = level + (t[k] === 'R' ? 1 : (t[k] === 'AN' || t[k] === 'EN') ? 2 : 0)
+          } else {
+            resolvedLevels[i] = level + ((t[k] === 'L' || t[k] === 'EN' || t[k] === 'AN') ? 1 : 0)
+          }
+        })
+      })
+
+      // L1. Reset segment separators, paragraph separators, and any sequence of whitespace and isolate formatting
+      // characters before them or at the end of the line, to the paragraph level. Removed characters are skipped.
+      const isTrailing = i => initialTypes[start + i] === 'WS' || ISOLATE_INITIATORS.indexOf(types[i]) !== -1 || types[i] === 'PDI'
+      for (let k = kept.length - 1, trailing = true; k >= 0; k--) {
+        const i = kept[k]
+        if (types[i] === 'S' || types[i] === 'B') {
+          resolvedLevels[i] = paragraphLevel
+          trailing = true
+        } else if (trailing && isTrailing(i)) {
+          resolvedLevels[i] = paragraphLevel
+        } else {
+          trailing = false
+        }
+      }
+
+      kept.forEach(i => {
+        levels[start + i] = resolvedLevels[i]
+      })
+
+      // L2. Reverse each contiguous sequence at or above each level, from the highest to the lowest odd level
+      const order = kept.slice()
+      const orderLevels = order.map(i => resolvedLevels[i])
+      const maxLevel = Math.max(...orderLevels)
+      const minOddLevel = Math.min(...orderLevels.map(level => level | 1))
+      for (let lvl = maxLevel; lvl >= minOddLevel; lvl--) {
+        for (let k = 0; k < order.length; k++) {
+          if (resolvedLevels[order[k]] >= lvl) {
+            let runEnd = k
+            while (runEnd + 1 < order.length && resolvedLevels[order[runEnd + 1]] >= lvl) {
+              runEnd++
+            }
+            const reversed = order.slice(k, runEnd + 1).reverse()
+            order.splice(k, reversed.length, ...reversed)
+            k = runEnd
+          }
+        }
+      }
+      order.forEach(i => {
+        visualOrder.push(start + i)
+      })
+    }
+
+    // Map the code point positions back to UTF-16 indices; both halves of a surrogate pair share a level and
+    // keep their logical order
+    const unitLevels = new Array(string.length).fill(null)
+    levels.forEach((level, cp) => {
+      unitLevels[unitIndices[cp]] = level
+      if (chars[cp].length === 2) {
+        unitLevels[unitIndices[cp] + 1] = level
+      }
+    })
+    const unitOrder = []
+    visualOrder.forEach(cp => {
+      unitOrder.push(unitIndices[cp])
+      if (chars[cp].length === 2) {
+        unitOrder.push(unitIndices[cp] + 1)
+      }
+    })
+    return { levels: unitLevels, visualOrder: unitOrder }
+  }
+
+  return { resolve }
+}
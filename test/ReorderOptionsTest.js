@@ -0,0 +1,59 @@
+/*
+ Checks the removeControls and removeMarks options of getReorderedString and getReorderedIndices, and the
+ removedIndices they report. Strings are written with uppercase ASCII letters standing in for Hebrew ones.
+ */
+module.exports.runReorderOptionsTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+  const RLE = '\u202B', PDF = '\u202C', RLI = '\u2067', PDI = '\u2069', LRM = '\u200E', RLM = '\u200F'
+  const ZWJ = '\u200D', SHY = '\u00AD'
+
+  // [name, text, direction, line start, line end, options, expected string, indices, removedIndices]
+  const cases = [
+    ['embeddings kept by default', `a${RLE}DE${PDF}b`, 'ltr', null, null, {},
+      `a${RLE}${PDF}EDb`, [0, 1, 4, 3, 2, 5], undefined],
+    ['options off', `a${RLE}DE${PDF}b`, 'ltr', null, null, { removeControls: false, removeMarks: false },
+      `a${RLE}${PDF}EDb`, [0, 1, 4, 3, 2, 5], undefined],
+    ['embeddings removed', `a${RLE}DE${PDF}b`, 'ltr', null, null, { removeControls: true },
+      'aEDb', [0, 3, 2, 5], [1, 4]],
+    ['isolates removed', `a${RLI}DE${PDI}b`, 'ltr', null, null, { removeControls: true },
+      'aEDb', [0, 3, 2, 5], [1, 4]],
+    ['other boundary neutrals removed', `ab${SHY}c`, 'ltr', null, null, { removeControls: true },
+      'abc', [0, 1, 3], [2]],
+    ['joiners kept', `D${ZWJ}E`, 'rtl', null, null, { removeControls: true },
+      `E${ZWJ}D`, [2, 1, 0], []],
+    ['marks kept when only removing controls', `a${RLM}DE${LRM}b`, 'ltr', null, null, { removeControls: true },
+      `aED${RLM}${LRM}b`, [0, 3, 2, 1, 4, 5], []],
+    ['marks removed', `a${RLM}DE${LRM}b`, 'ltr', null, null, { removeMarks: true },
+      'aEDb', [0, 3, 2, 5], [1, 4]],
+    ['controls and marks removed', `${RLI}a${RLM}${PDI}b`, 'ltr', null, null, { removeControls: true, removeMarks: true },
+      'ab', [1, 4], [0, 2, 3]],
+    ['only within the line', `a${RLM}b\nD${RLM}E`, 'ltr', 4, 6, { removeMarks: true },
+      `a${RLM}b\nED`, [0, 1, 2, 3, 6, 4], [5]]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, text, direction, start, end, options, expectedString, expectedIndices, expectedRemoved]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    const indices = bidi.getReorderedIndices(text, embeddingLevels, start, end, options)
+    const expected = JSON.stringify([toHebrew(expectedString), expectedIndices, expectedRemoved])
+    const received = JSON.stringify([
+      bidi.getReorderedString(text, embeddingLevels, start, end, options),
+      Array.from(indices),
+      indices.removedIndices
+    ])
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Reorder options test "${name}":
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  })
+
+  console.log(`Reorder Options Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
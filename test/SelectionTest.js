@@ -0,0 +1,41 @@
+/*
+ Checks the visual ranges from getSelectionVisualRanges for selections within and across direction boundaries.
+ Strings are written with uppercase ASCII letters standing in for Hebrew ones.
+ */
+module.exports.runSelectionTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+
+  // [name, text, direction, selection start, selection end (exclusive), line start, line end, expected ranges]
+  const cases = [
+    ['within an LTR run', 'abc DEF ghi', 'ltr', 0, 2, null, null, [[0, 1]]],
+    ['within an RTL run', 'abc DEF ghi', 'ltr', 4, 6, null, null, [[5, 6]]],
+    ['across a direction boundary', 'abc DEF ghi', 'ltr', 2, 5, null, null, [[2, 3], [6, 6]]],
+    ['across both boundaries of an RTL run', 'abc DEF ghi', 'ltr', 2, 9, null, null, [[2, 8]]],
+    ['across a boundary in RTL text', 'ABC def', 'rtl', 2, 5, null, null, [[0, 0], [3, 4]]],
+    ['collapsed selection', 'abc DEF ghi', 'ltr', 5, 5, null, null, []],
+    ['full line', 'abc DEF ghi', 'ltr', 0, 11, null, null, [[0, 10]]],
+    ['surrogate pairs', 'a\u{1E900}\u{1E901}b', 'ltr', 1, 3, null, null, [[3, 4]]],
+    ['selection extending past the line', 'abc\nDEF', 'ltr', 0, 6, 4, 6, [[5, 6]]],
+    ['selection outside the line', 'abc\nDEF', 'ltr', 0, 3, 4, 6, []]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, text, direction, selectionStart, selectionEnd, start, end, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    const received = bidi.getSelectionVisualRanges(text, embeddingLevels, selectionStart, selectionEnd, start, end)
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Selection test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  })
+
+  console.log(`Selection Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
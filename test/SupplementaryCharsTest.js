@@ -0,0 +1,121 @@
+const { readFileSync } = require('fs')
+const path = require('path')
+const { performance } = require('perf_hooks')
+
+/*
+ Re-runs the BidiCharacterTest.txt cases, but with every character of certain types swapped for a
+ supplementary-plane character of the same type, to verify that surrogate pairs are classified by
+ their full code point, get a single shared level, and are kept intact when reordered.
+ */
+module.exports.runSupplementaryCharsTest = function (bidi) {
+  const text = readFileSync(path.join(__dirname, './BidiCharacterTest.txt'), 'utf-8')
+  const lines = text.split('\n')
+
+  const BAIL_COUNT = 10
+
+  const ASTRAL_REPS = {
+    L: '\u{1D400}', //MATHEMATICAL BOLD CAPITAL A
+    R: '\u{1E900}', //ADLAM CAPITAL LETTER ALIF
+    AL: '\u{1EE00}', //ARABIC MATHEMATICAL ALEF
+    EN: '\u{1D7CE}', //MATHEMATICAL BOLD DIGIT ZERO
+    AN: '\u{10E60}', //RUMI DIGIT ONE
+    NSM: '\u{1E944}' //ADLAM ALIF LENGTHENER
+  }
+
+  let testCount = 0
+  let passCount = 0
+  let failCount = 0
+  let totalTime = 0
+
+  lines.forEach((line, lineIdx) => {
+    if (line && !line.startsWith('#')) {
+      let [input, paraDir, , expectedLevels, expectedOrder] = line.split(';')
+
+      const inputOrig = input
+      const chars = input.split(' ').map(d => String.fromCodePoint(parseInt(d, 16)))
+      paraDir = paraDir === '0' ? 'ltr' : paraDir === '1' ? 'rtl' : 'auto'
+      expectedLevels = expectedLevels.split(' ').map(s => s === 'x' ? s : parseInt(s, 10))
+      expectedOrder = expectedOrder.split(' ').map(s => parseInt(s, 10))
+
+      // Swap in the astral chars, tracking where each original char ends up
+      const unitIndices = []
+      const unitWidths = []
+      let unitCount = 0
+      input = chars.map(ch => {
+        const rep = ASTRAL_REPS[bidi.getBidiCharTypeName(ch)]
+        unitIndices.push(unitCount)
+        unitWidths.push(rep ? 2 : 1)
+        unitCount += rep ? 2 : 1
+        return rep || ch
+      }).join('')
+      if (input.length === chars.length) return //nothing was swapped
+
+      const unitLevels = []
+      expectedLevels.forEach((level, i) => {
+        for (let j = 0; j < unitWidths[i]; j++) {
+          unitLevels.push(level)
+        }
+      })
+      const unitOrder = []
+      expectedOrder.forEach(i => {
+        for (let j = 0; j < unitWidths[i]; j++) {
+          unitOrder.push(unitIndices[i] + j)
+        }
+      })
+
+      const start = performance.now()
+      const embedLevelsResult = bidi.getEmbeddingLevels(input, paraDir)
+      const {levels, paragraphs} = embedLevelsResult
+      let reordered = bidi.getReorderedIndices(input, embedLevelsResult)
+      totalTime += performance.now() - start
+
+      reordered = reordered.filter(i => unitLevels[i] !== 'x')
+
+      let ok = unitLevels.length === levels.length && paragraphs.length === 1
+      if (ok) {
+        for (let i = 0; i < unitLevels.length; i++) {
+          if (unitLevels[i] !== 'x' && unitLevels[i] !== levels[i]) {
+            ok = false
+            break
+          }
+        }
+      }
+      if (ok) {
+        for (let i = 0; i < reordered.length; i++) {
+          if (reordered[i] !== unitOrder[i]) {
+            ok = false
+            break
+          }
+        }
+      }
+
+      testCount++
+      if (ok) {
+        passCount++
+      } else {
+        if (++failCount <= BAIL_COUNT) {
+          console.error(`Test on line ${lineIdx + 1}, direction "${paraDir}":
+  Input codes:     ${inputOrig}
+  Expected levels: ${mapToColumns(unitLevels, 4)}
+  Received levels: ${mapToColumns(levels, 4)}
+  Expected order:  ${mapToColumns(unitOrder, 4)}
+  Received order:  ${mapToColumns(reordered, 4)}`)
+        }
+      }
+    }
+  })
+
+  let message = `Supplementary Character Tests: ${testCount} total, ${passCount} passed, ${failCount} failed`
+  if (failCount >= BAIL_COUNT) {
+    message += ` (only first ${BAIL_COUNT} failures shown)`
+  }
+  message += `\n    ${totalTime.toFixed(4)}ms total, ${(totalTime / testCount).toFixed(4)}ms average`
+
+  console.log(message)
+
+  return failCount ? 1 : 0
+}
+
+function mapToColumns (values, colSize) {
+  return [...values].map(v => `${v}`.padEnd(colSize)).join('')
+}
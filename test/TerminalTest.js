@@ -0,0 +1,59 @@
+/*
+ Checks the visual lines from getTerminalLines, including the handling of ANSI escape sequences, wrapping, and
+ padding, and the column counts from getDisplayWidth.
+ */
+module.exports.runTerminalTest = function (bidi) {
+  const RED = '\x1b[31m', BOLD = '\x1b[1m', RESET = '\x1b[0m', CLEAR_LINE = '\x1b[2K'
+  const HEBREW = '\u05E9\u05DC\u05D5\u05DD', HEBREW_VISUAL = '\u05DD\u05D5\u05DC\u05E9'
+  const CHINESE = '\u4E2D\u6587'
+
+  const linesCases = [
+    ['styling in an LTR paragraph', `abc ${RED}${HEBREW}${RESET} def`, 'ltr', {},
+      [`abc ${RED}${HEBREW_VISUAL}${RESET} def`]],
+    ['styling follows reordered text', `${HEBREW} ${RED}\u05D0\u05D1${RESET} \u05D2`, 'rtl', {},
+      [`\u05D2 ${RED}\u05D1\u05D0${RESET} ${HEBREW_VISUAL}`]],
+    ['styling carries across wrapped lines', `${BOLD}abc ${RED}def${RESET} ghi`, 'ltr', { width: 5 },
+      [`${BOLD}abc${RESET}`, `${BOLD}${RED}def${RESET}`, 'ghi']],
+    ['other escapes are kept in place', `abc${CLEAR_LINE}`, 'ltr', {}, [`abc${CLEAR_LINE}`]],
+    ['line breaks', 'one\ntwo\r\n', 'ltr', {}, ['one', 'two']],
+    ['mirroring', `(${HEBREW})`, 'rtl', {}, [`(${HEBREW_VISUAL})`]],
+    ['wrapping and padding by columns', `${CHINESE} ${HEBREW} abc def ghi`, 'ltr', { width: 8, pad: true },
+      [`${CHINESE}    `, `${HEBREW_VISUAL} abc`, 'def ghi ']],
+    ['RTL paragraphs are padded at the start', `${HEBREW} ${HEBREW} ${HEBREW}`, 'rtl', { width: 9, pad: true },
+      [`${HEBREW_VISUAL} ${HEBREW_VISUAL}`, `     ${HEBREW_VISUAL}`]]
+  ]
+
+  const widthCases = [
+    ['escapes take no columns', `${RED}abc${RESET}`, {}, 3],
+    ['wide characters', `${CHINESE}a`, {}, 5],
+    ['combining marks', 'a\u0301', {}, 1],
+    ['ambiguous characters', '\u00B1', {}, 1],
+    ['ambiguous characters, wide', '\u00B1', { ambiguousWidth: 2 }, 2],
+    ['supplementary characters', '\u{20000}\u{1F600}', {}, 4]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+
+  function check (name, expected, received) {
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Terminal test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  }
+
+  linesCases.forEach(([name, text, direction, options, expected]) => {
+    check(name, expected, bidi.getTerminalLines(text, direction, options))
+  })
+  widthCases.forEach(([name, text, options, expected]) => {
+    check(name, expected, bidi.getDisplayWidth(text, options))
+  })
+
+  console.log(`Terminal Tests: ${linesCases.length + widthCases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
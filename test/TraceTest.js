@@ -0,0 +1,63 @@
+/*
+ Checks the rule steps and isolating run sequences recorded by getEmbeddingLevels' `trace` option, and that
+ tracing doesn't change the resolved levels.
+ */
+module.exports.runTraceTest = function (bidi) {
+  const ALEF = '\u0627', RLI = '\u2067', PDI = '\u2069', RLO = '\u202E', PDF = '\u202C'
+
+  const formatSteps = steps => steps.map(({ rule, type, level }) => `${rule}:${type || level}`).join(' ')
+
+  const cases = [
+    {
+      name: 'weak, neutral, and implicit rules',
+      text: `${ALEF} 1 (a)`,
+      expected: {
+        characters: ['W3:R', 'N1:R', 'W2:AN I2:2', 'N1:R', 'N0:R', 'I2:2', 'N0:R'],
+        isolatingRunSequences: [{ paragraph: 0, level: 1, sos: 'R', eos: 'R', runs: [[0, 6]] }]
+      }
+    },
+    {
+      name: 'European numbers and terminators',
+      text: 'a $1,2',
+      expected: {
+        characters: ['', 'N1:L', 'W5:EN W7:L', 'W7:L', 'W4:EN W7:L', 'W7:L'],
+        isolatingRunSequences: [{ paragraph: 0, level: 0, sos: 'L', eos: 'L', runs: [[0, 5]] }]
+      }
+    },
+    {
+      name: 'isolates and overrides',
+      text: `a${RLI}b${RLO}c${PDF}${PDI} `,
+      expected: {
+        characters: ['', 'N1:L', 'I2:2', '5.2:2', 'X6:R', '5.2:3 L1:0', 'N1:L', 'N1:L'],
+        isolatingRunSequences: [
+          { paragraph: 0, level: 0, sos: 'L', eos: 'L', runs: [[0, 1], [6, 7]] },
+          { paragraph: 0, level: 1, sos: 'R', eos: 'R', runs: [[2, 2]] },
+          { paragraph: 0, level: 3, sos: 'R', eos: 'R', runs: [[4, 4]] }
+        ]
+      }
+    }
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(({ name, text, expected }) => {
+    const { levels, trace } = bidi.getEmbeddingLevels(text, 'auto', { trace: true })
+    const untracedLevels = bidi.getEmbeddingLevels(text, 'auto').levels
+    const received = {
+      characters: trace.characters.map(char => formatSteps(char.steps)),
+      isolatingRunSequences: trace.isolatingRunSequences
+    }
+    if (JSON.stringify(received) === JSON.stringify(expected) && levels.join(',') === untracedLevels.join(',')) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Trace test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  })
+
+  console.log(`Trace Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
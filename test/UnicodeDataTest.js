@@ -0,0 +1,190 @@
+const { execFileSync } = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/*
+ Generates a small Unicode data set with scripts/generateBidiData.mjs, from a minimal UCD written to a temporary
+ directory, and checks switching to it: through the factory when given one (for the build), or otherwise with
+ setUnicodeData. Also checks that the generator rejects UCD files of mismatched or unsupported versions, and
+ that it falls back to the bundled Extended_Pictographic data for a UCD from before emoji-data.txt was included.
+ */
+module.exports.runUnicodeDataTest = function (bidi, bidiFactory) {
+  const VERSION = '15.0.0'
+  const POUND_MARK_ABOVE = '\u0890' //added in Unicode 14.0 as AN; unassigned and defaulting to R before that
+
+  // Just enough of each UCD file for the generator to produce a complete data set. Files keyed with a name
+  // declare their version in their header.
+  const UCD_FILES = {
+    'extracted/DerivedBidiClass.txt': ['DerivedBidiClass', [
+      '000A ; B', '0020 ; WS', '0028..0029 ; ON', '05D0..05EA ; R', '0890..0891 ; AN', '2329..232A ; ON',
+      '3008..3009 ; ON'
+    ]],
+    'BidiBrackets.txt': ['BidiBrackets', [
+      '0028; 0029; o', '0029; 0028; c', '2329; 232A; o', '232A; 2329; c', '3008; 3009; o', '3009; 3008; c'
+    ]],
+    'BidiMirroring.txt': ['BidiMirroring', ['0028; 0029', '0029; 0028', '3008; 3009', '3009; 3008']],
+    'ArabicShaping.txt': ['ArabicShaping', ['0627; ALEF; R; ALEF', '0628; BEH; D; BEH']],
+    'auxiliary/GraphemeBreakProperty.txt': ['GraphemeBreakProperty', [
+      '000A ; LF', '000D ; CR', '0300 ; Extend', '1F1E6..1F1FF ; Regional_Indicator'
+    ]],
+    'UnicodeData.txt': [null, [
+      '000A;<control>;Cc;0;B;;;;;N;LINE FEED (LF);;;;',
+      '0020;SPACE;Zs;0;WS;;;;;N;;;;;',
+      '0028;LEFT PARENTHESIS;Ps;0;ON;;;;;Y;OPENING PARENTHESIS;;;;',
+      '0029;RIGHT PARENTHESIS;Pe;0;ON;;;;;Y;CLOSING PARENTHESIS;;;;',
+      '0300;COMBINING GRAVE ACCENT;Mn;230;NSM;;;;;N;NON-SPACING GRAVE;;;;',
+      '05D0;HEBREW LETTER ALEF;Lo;0;R;;;;;N;;;;;',
+      '0627;ARABIC LETTER ALEF;Lo;0;AL;;;;;N;;;;;',
+      '0628;ARABIC LETTER BEH;Lo;0;AL;;;;;N;ARABIC LETTER BAA;;;;',
+      '0890;ARABIC POUND MARK ABOVE;Cf;0;AN;;;;;N;;;;;',
+      '2329;LEFT-POINTING ANGLE BRACKET;Ps;0;ON;3008;;;;Y;BRA;;;;',
+      '232A;RIGHT-POINTING ANGLE BRACKET;Pe;0;ON;3009;;;;Y;KET;;;;',
+      '3008;LEFT ANGLE BRACKET;Ps;0;ON;;;;;Y;OPENING ANGLE BRACKET;;;;',
+      '3009;RIGHT ANGLE BRACKET;Pe;0;ON;;;;;Y;CLOSING ANGLE BRACKET;;;;',
+      '4E00;<CJK Ideograph, First>;Lo;0;L;;;;;N;;;;;',
+      '4E0F;<CJK Ideograph, Last>;Lo;0;L;;;;;N;;;;;'
+    ]],
+    'LineBreak.txt': [null, ['000A;LF', '0020;SP', '0028;OP', '0029;CP', '4E00..4E0F;ID', 'FF08;OP', 'FF09;CP']],
+    'EastAsianWidth.txt': [null, ['0041;Na', '00A1;A', '4E00..4E0F;W', 'FF08..FF09;F']],
+    'emoji/emoji-data.txt': [null, ['1F600 ; Extended_Pictographic', '1FC00 ; Extended_Pictographic']]
+  }
+
+  const generator = path.join(__dirname, '../scripts/generateBidiData.mjs')
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bidi-ucd-'))
+  const outFile = path.join(tempDir, 'data.json')
+
+  // Writes the UCD files to `dir`, all declaring `version` unless given another in `versionsByFile`. Files
+  // mapped to null in `linesByFile` are left out, and others get those lines instead.
+  function writeUcd (dir, version, versionsByFile = {}, linesByFile = {}) {
+    Object.keys(UCD_FILES).forEach(file => {
+      const [name, lines] = UCD_FILES[file]
+      if (linesByFile[file] === null) return
+      const header = name ? `# ${name}-${versionsByFile[file] || version}.txt\n\n` : '# Test data\n\n'
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+      fs.writeFileSync(path.join(dir, file), header + (linesByFile[file] || lines).join('\n') + '\n')
+    })
+  }
+
+  // Reads one of the bundled data files in src/data
+  function readBundledData (fileName) {
+    const txt = fs.readFileSync(path.join(__dirname, '../src/data', fileName), 'utf8')
+    return JSON.parse(txt.slice(txt.indexOf('export default ') + 'export default '.length))
+  }
+
+  // Returns the generator's error output, or null if it succeeded
+  function generate (args) {
+    try {
+      execFileSync(process.execPath, [generator].concat(args), { stdio: 'pipe', encoding: 'utf8' })
+      return null
+    } catch (err) {
+      return err.stderr || err.message
+    }
+  }
+
+  // Generates a data set and returns it, or counts a failed check and returns null if that fails
+  function generateDataSet (name, args) {
+    let error = generate(args.concat(['--out', outFile]))
+    let data = null
+    if (!error) {
+      try {
+        data = JSON.parse(fs.readFileSync(outFile, 'utf8'))
+      } catch (err) {
+        error = err.message
+      }
+    }
+    check(name, null, error)
+    return data
+  }
+
+  let passCount = 0
+  let failCount = 0
+  let total = 0
+
+  function check (name, expected, received) {
+    total++
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Unicode data test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  }
+
+  try {
+    const ucdDir = path.join(tempDir, 'ucd')
+    writeUcd(ucdDir, VERSION)
+    const mismatchedDir = path.join(tempDir, 'ucd-mismatched')
+    writeUcd(mismatchedDir, VERSION, { 'BidiBrackets.txt': '14.0.0' })
+    const unsupportedDir = path.join(tempDir, 'ucd-unsupported')
+    writeUcd(unsupportedDir, '6.2.0')
+    // Before 13.0 there's no emoji-data.txt, and with no ambiguous widths, no ranges for that width class
+    const noEmojiDir = path.join(tempDir, 'ucd-no-emoji')
+    writeUcd(noEmojiDir, '12.1.0', {}, {
+      'emoji/emoji-data.txt': null,
+      'EastAsianWidth.txt': ['0041;Na', '4E00..4E0F;W', 'FF08..FF09;F']
+    })
+
+    check('generator rejects files not of the requested version', true,
+      /is from Unicode 15\.0\.0, but expected 14\.0\.0/.test(generate(['--ucd', ucdDir, '--version', '14.0.0', '--out', outFile])))
+    check('generator rejects files of mixed versions', true,
+      /BidiBrackets\.txt is from Unicode 14\.0\.0, but expected 15\.0\.0/.test(generate(['--ucd', mismatchedDir, '--out', outFile])))
+    check('generator rejects versions before 6.3.0', true,
+      /is from Unicode 6\.2\.0, but the earliest version supported is 6\.3\.0/.test(generate(['--ucd', unsupportedDir, '--out', outFile])))
+
+    const noEmojiData = generateDataSet('generator writes a data set without emoji-data.txt', ['--ucd', noEmojiDir])
+    if (noEmojiData) {
+      check('bundled Extended_Pictographic data used without emoji-data.txt', [
+        '12.1.0', readBundledData('graphemeBreak.data.js').extendedPictographic,
+        readBundledData('lineBreakClasses.data.js').unassignedPictographic
+      ], [
+        noEmojiData.version, noEmojiData.graphemeBreak.extendedPictographic,
+        noEmojiData.lineBreakClasses.unassignedPictographic
+      ])
+      check('width classes with no ranges', '', noEmojiData.displayWidths.ambiguous)
+    }
+
+    const data = generateDataSet('generator writes a data set', ['--ucd', ucdDir, '--version', VERSION])
+    if (data) {
+      check('bundled version', ['13.0.0', 'R'], [bidi.getUnicodeVersion(), bidi.getBidiCharTypeName(POUND_MARK_ABOVE)])
+
+      let switched
+      if (bidiFactory) {
+        switched = bidiFactory(data)
+      } else {
+        bidi.setUnicodeData(data)
+        switched = bidi
+      }
+      try {
+        check('switched version', VERSION, switched.getUnicodeVersion())
+        check('character types from the switched data', ['AN', 'R', 'L'],
+          [POUND_MARK_ABOVE, '\u05D0', '\u0627'].map(char => switched.getBidiCharTypeName(char)))
+        check('levels from the switched data', [1, 2],
+          Array.from(switched.getEmbeddingLevels(`\u05D0${POUND_MARK_ABOVE}`, 'auto').levels))
+        check('brackets and mirroring from the switched data', ['\u3009', ')', '\u3008'],
+          [switched.openingToClosingBracket('\u3008'), switched.getMirroredCharacter('('), switched.getCanonicalBracket('\u2329')])
+      } finally {
+        if (!bidiFactory) {
+          bidi.setUnicodeData(null)
+        }
+      }
+      check('original data in use afterward', ['13.0.0', 'R'], [bidi.getUnicodeVersion(), bidi.getBidiCharTypeName(POUND_MARK_ABOVE)])
+
+      let error = null
+      try {
+        bidi.setUnicodeData({ version: VERSION, bidiCharTypes: data.bidiCharTypes })
+      } catch (err) {
+        error = err.message
+      }
+      check('incomplete data sets are rejected', 'Unicode data set is missing "bidiBrackets"', error)
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  }
+
+  console.log(`Unicode Data Tests: ${total} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,74 @@
+const { performance } = require('perf_hooks')
+
+/*
+ Applies random edits to random multi-paragraph strings, and verifies that updating the previous
+ result with updateEmbeddingLevels gives exactly the same result as a full getEmbeddingLevels call.
+ */
+module.exports.runUpdateEmbeddingLevelsTest = function (bidi) {
+  const BAIL_COUNT = 10
+  const ITERATIONS = 20000
+
+  // A sampling of characters covering all bidi types, plus paragraph separators and a surrogate pair
+  const CHARS = ['a', 'b', '\u05D0', '\u05D1', '\u0627', '1', '2', '\u0660', '+', '#', ',', ' ', '\t', '!', '(', ')',
+    '\u00AD', '\u036F', '\u202A', '\u202B', '\u202C', '\u202D', '\u202E', '\u2066', '\u2067', '\u2068', '\u2069',
+    '\n', '\u2029', '\u{1E900}']
+  const DIRECTIONS = ['auto', 'ltr', 'rtl']
+
+  let seed = 1
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+  const randomString = maxLength => {
+    let str = ''
+    for (let i = Math.floor(random() * maxLength); i--;) {
+      str += CHARS[Math.floor(random() * CHARS.length)]
+    }
+    return str
+  }
+
+  let testCount = 0
+  let passCount = 0
+  let failCount = 0
+  let totalTime = 0
+
+  for (let n = 0; n < ITERATIONS; n++) {
+    const string = randomString(40)
+    const baseDirection = DIRECTIONS[n % 3]
+    const offset = Math.floor(random() * (string.length + 1))
+    const deletedLength = Math.floor(random() * (string.length - offset + 1) / 3)
+    const insertedText = randomString(8)
+    const newString = string.slice(0, offset) + insertedText + string.slice(offset + deletedLength)
+
+    const previousResult = bidi.getEmbeddingLevels(string, baseDirection)
+    const expected = bidi.getEmbeddingLevels(newString, baseDirection)
+    const start = performance.now()
+    const received = bidi.updateEmbeddingLevels(string, previousResult, offset, deletedLength, insertedText, baseDirection)
+    totalTime += performance.now() - start
+
+    const ok = JSON.stringify([...expected.levels]) === JSON.stringify([...received.levels]) &&
+      JSON.stringify(expected.paragraphs) === JSON.stringify(received.paragraphs)
+
+    testCount++
+    if (ok) {
+      passCount++
+    } else {
+      if (++failCount <= BAIL_COUNT) {
+        console.error(`Update test ${n}, direction "${baseDirection}":
+  Input:               ${JSON.stringify(string)}
+  Edit:                offset ${offset}, deleted ${deletedLength}, inserted ${JSON.stringify(insertedText)}
+  Expected levels:     ${[...expected.levels].join(' ')}
+  Received levels:     ${[...received.levels].join(' ')}
+  Expected paragraphs: ${JSON.stringify(expected.paragraphs)}
+  Received paragraphs: ${JSON.stringify(received.paragraphs)}`)
+      }
+    }
+  }
+
+  let message = `Update Embedding Levels Tests: ${testCount} total, ${passCount} passed, ${failCount} failed`
+  if (failCount >= BAIL_COUNT) {
+    message += ` (only first ${BAIL_COUNT} failures shown)`
+  }
+  message += `\n    ${totalTime.toFixed(4)}ms total, ${(totalTime / testCount).toFixed(4)}ms average`
+
+  console.log(message)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,43 @@
+/*
+ Checks the runs from getVisualRuns, in visual order, for mixed-direction text, multiple paragraphs, and lines
+ within a string. Strings are written with uppercase ASCII letters standing in for Hebrew ones, and runs as
+ "start-end level direction".
+ */
+module.exports.runVisualRunsTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+
+  // [name, text, direction, line start, line end, expected runs]
+  const cases = [
+    ['LTR text', 'abc', 'ltr', null, null, ['0-2 0 ltr']],
+    ['RTL run in LTR text', 'abc DEF ghi', 'ltr', null, null, ['0-3 0 ltr', '4-6 1 rtl', '7-10 0 ltr']],
+    ['LTR run in RTL text', 'ABC def GHI', 'rtl', null, null, ['7-10 1 rtl', '4-6 2 ltr', '0-3 1 rtl']],
+    ['numbers following LTR text in RTL text', 'ABC def 12', 'rtl', null, null, ['4-9 2 ltr', '0-3 1 rtl']],
+    ['numbers within an RTL run', 'abc DEF 12 GHI', 'ltr', null, null, ['0-3 0 ltr', '10-13 1 rtl', '8-9 2 ltr', '4-7 1 rtl']],
+    ['multiple paragraphs', 'ab\nCD', 'auto', null, null, ['0-2 0 ltr', '3-4 1 rtl']],
+    ['line within the text', 'abc DEF ghi', 'ltr', 2, 5, ['2-3 0 ltr', '4-5 1 rtl']],
+    ['line spanning paragraphs', 'ab\nCD', 'auto', 1, 3, ['1-2 0 ltr', '3-3 1 rtl']],
+    ['whitespace at the end of a line takes the paragraph level', 'DEF GHI', 'ltr', 0, 3, ['0-2 1 rtl', '3-3 0 ltr']],
+    ['empty text', '', 'ltr', null, null, []]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, text, direction, start, end, expected]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    const received = bidi.getVisualRuns(text, embeddingLevels, start, end)
+      .map(run => `${run.start}-${run.end} ${run.level} ${run.direction}`)
+    if (JSON.stringify(received) === JSON.stringify(expected)) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Visual runs test "${name}":
+  Expected: ${JSON.stringify(expected)}
+  Received: ${JSON.stringify(received)}`)
+    }
+  })
+
+  console.log(`Visual Runs Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
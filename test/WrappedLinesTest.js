@@ -0,0 +1,74 @@
+/*
+ Checks the lines from getWrappedLines: greedy wrapping by width, overflowing words, hanging whitespace,
+ mandatory breaks, and the reordering and mirroring computed for each line. Strings are written with uppercase
+ ASCII letters standing in for Hebrew ones, and widths are measured in characters.
+ */
+module.exports.runWrappedLinesTest = function (bidi) {
+  const toHebrew = str => str.replace(/[A-Z]/g, char => String.fromCharCode(0x05D0 + char.charCodeAt(0) - 65))
+  const measureWidth = substring => substring.length
+
+  // Each expected line is [start, end, width, segments, mirrored entries, visual text]
+  const cases = [
+    ['fills lines greedily', 'aaa bbb ccc', 'ltr', 7, [
+      [0, 7, 7, [], [], 'aaa bbb '],
+      [8, 10, 3, [], [], 'ccc']
+    ]],
+    ['a word wider than the line overflows its own line', 'a bbbbbbbbbb c', 'ltr', 5, [
+      [0, 1, 1, [], [], 'a '],
+      [2, 12, 10, [], [], 'bbbbbbbbbb '],
+      [13, 13, 1, [], [], 'c']
+    ]],
+    ['trailing whitespace hangs past the width', 'abc   def', 'ltr', 3, [
+      [0, 5, 3, [], [], 'abc   '],
+      [6, 8, 3, [], [], 'def']
+    ]],
+    ['mandatory breaks', 'ab\ncd\n\nef', 'ltr', 100, [
+      [0, 2, 2, [], [], 'ab\n'],
+      [3, 5, 2, [], [], 'cd\n'],
+      [6, 6, 0, [], [], '\n'],
+      [7, 8, 2, [], [], 'ef']
+    ]],
+    ['each line is reordered on its own', 'abc DEF GHI', 'ltr', 7, [
+      [0, 7, 7, [[4, 6]], [], 'abc FED '],
+      [8, 10, 3, [[8, 10]], [], 'IHG']
+    ]],
+    ['whitespace at the end of a wrapped line takes the paragraph level', 'DEF GHI', 'ltr', 3, [
+      [0, 3, 3, [[0, 2]], [], 'FED '],
+      [4, 6, 3, [[4, 6]], [], 'IHG']
+    ]],
+    ['right-to-left paragraphs', 'DE abc FG', 'rtl', 6, [
+      [0, 6, 6, [[3, 5], [0, 6]], [], ' abc ED'],
+      [7, 8, 2, [[7, 8]], [], 'GF']
+    ]],
+    ['mirroring per line', 'DE (FG)', 'rtl', 4, [
+      [0, 2, 2, [[0, 2]], [], ' ED'],
+      [3, 6, 4, [[3, 6]], [[3, ')'], [6, '(']], '(GF)']
+    ]]
+  ]
+
+  let passCount = 0
+  let failCount = 0
+  cases.forEach(([name, text, direction, maxWidth, expectedLines]) => {
+    text = toHebrew(text)
+    const embeddingLevels = bidi.getEmbeddingLevels(text, direction)
+    const expected = JSON.stringify(expectedLines.map(line => line.slice(0, 5).concat([toHebrew(line[5])])))
+    const received = JSON.stringify(bidi.getWrappedLines(text, embeddingLevels, measureWidth, maxWidth).map(
+      ({ start, end, width, segments, mirrored }) => [
+        start, end, width, segments, Array.from(mirrored),
+        bidi.getReorderedString(text, embeddingLevels, start, end).slice(start, end + 1)
+      ]
+    ))
+    if (received === expected) {
+      passCount++
+    } else {
+      failCount++
+      console.error(`Wrapped lines test "${name}":
+  Expected: ${expected}
+  Received: ${received}`)
+    }
+  })
+
+  console.log(`Wrapped Lines Tests: ${cases.length} total, ${passCount} passed, ${failCount} failed`)
+
+  return failCount ? 1 : 0
+}
@@ -0,0 +1,21 @@
+import { runFuzzTest } from './FuzzTest.js'
+
+import * as bidiFromSrc from '../src/index.js'
+
+/*
+ Runs the differential fuzz test on the src files for longer than the main test suite does, e.g.
+ `npm run fuzz -- --seed 42 --count 100000`. The seed defaults to a random one, which is printed so that any
+ failure can be reproduced.
+*/
+const args = process.argv.slice(2)
+function getArg (name, defaultValue) {
+  const i = args.indexOf(`--${name}`)
+  return i !== -1 && args[i + 1] != null ? +args[i + 1] : defaultValue
+}
+
+console.log('Running fuzz test on src files...')
+
+process.exit(runFuzzTest(bidiFromSrc, {
+  seed: getArg('seed', Math.floor(Math.random() * 0x100000000)),
+  count: getArg('count', 100000)
+}))
@@ -1,5 +1,31 @@
 const { runBidiTest } = require('./BidiTest.js')
 const { runBidiCharacterTest } = require('./BidiCharacterTest.js')
+const { runSupplementaryCharsTest } = require('./SupplementaryCharsTest.js')
+const { runUpdateEmbeddingLevelsTest } = require('./UpdateEmbeddingLevelsTest.js')
+const { runLineBreakTest } = require('./LineBreakTest.js')
+const { runWrappedLinesTest } = require('./WrappedLinesTest.js')
+const { runCaretTest } = require('./CaretTest.js')
+const { runSelectionTest } = require('./SelectionTest.js')
+const { runHitTestingTest } = require('./HitTestingTest.js')
+const { runCharTypeOverridesTest } = require('./CharTypeOverridesTest.js')
+const { runReorderOptionsTest } = require('./ReorderOptionsTest.js')
+const { runVisualRunsTest } = require('./VisualRunsTest.js')
+const { runUnicodeDataTest } = require('./UnicodeDataTest.js')
+const { runLevelsReuseTest } = require('./LevelsReuseTest.js')
+const { runBidiSpoofingTest } = require('./BidiSpoofingTest.js')
+const { runBalancingTest } = require('./BalancingTest.js')
+const { runBidiFormatterTest } = require('./BidiFormatterTest.js')
+const { runBaseDirectionTest } = require('./BaseDirectionTest.js')
+const { runMarkupTest } = require('./MarkupTest.js')
+const { runTraceTest } = require('./TraceTest.js')
+const { runFuzzTest } = require('./FuzzTest.js')
+const { runJoiningTest } = require('./JoiningTest.js')
+const { runTerminalTest } = require('./TerminalTest.js')
+const { runGraphemeClusterTest } = require('./GraphemeClusterTest.js')
+const { runGraphemeBreakTest } = require('./GraphemeBreakTest.js')
+const { runMirroringTest } = require('./MirroringTest.js')
+const { runParagraphDirectionTest } = require('./ParagraphDirectionTest.js')
+const { runCliTest } = require('./CliTest.js')
 
 const { transformFileSync } = require("@babel/core")
 const requireFromString = require('require-from-string')
@@ -21,7 +47,33 @@ const bidi = bidiFactory()
 console.log('Running test suite on build file...')
 const results = [
   runBidiTest(bidi),
-  runBidiCharacterTest(bidi)
+  runBidiCharacterTest(bidi),
+  runSupplementaryCharsTest(bidi),
+  runUpdateEmbeddingLevelsTest(bidi),
+  runLineBreakTest(bidi),
+  runWrappedLinesTest(bidi),
+  runCaretTest(bidi),
+  runSelectionTest(bidi),
+  runHitTestingTest(bidi),
+  runCharTypeOverridesTest(bidi),
+  runReorderOptionsTest(bidi),
+  runVisualRunsTest(bidi),
+  runUnicodeDataTest(bidi, bidiFactory),
+  runLevelsReuseTest(bidi),
+  runBidiSpoofingTest(bidi),
+  runBalancingTest(bidi),
+  runBidiFormatterTest(bidi),
+  runBaseDirectionTest(bidi),
+  runMarkupTest(bidi),
+  runTraceTest(bidi),
+  runFuzzTest(bidi),
+  runJoiningTest(bidi),
+  runTerminalTest(bidi),
+  runGraphemeClusterTest(bidi),
+  runGraphemeBreakTest(bidi),
+  runMirroringTest(bidi),
+  runParagraphDirectionTest(bidi),
+  runCliTest()
 ]
 
 process.exit(Math.max(...results))
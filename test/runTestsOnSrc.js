@@ -1,5 +1,30 @@
 import { runBidiTest } from './BidiTest.js'
 import { runBidiCharacterTest } from './BidiCharacterTest.js'
+import { runSupplementaryCharsTest } from './SupplementaryCharsTest.js'
+import { runUpdateEmbeddingLevelsTest } from './UpdateEmbeddingLevelsTest.js'
+import { runLineBreakTest } from './LineBreakTest.js'
+import { runWrappedLinesTest } from './WrappedLinesTest.js'
+import { runCaretTest } from './CaretTest.js'
+import { runSelectionTest } from './SelectionTest.js'
+import { runHitTestingTest } from './HitTestingTest.js'
+import { runCharTypeOverridesTest } from './CharTypeOverridesTest.js'
+import { runReorderOptionsTest } from './ReorderOptionsTest.js'
+import { runVisualRunsTest } from './VisualRunsTest.js'
+import { runUnicodeDataTest } from './UnicodeDataTest.js'
+import { runLevelsReuseTest } from './LevelsReuseTest.js'
+import { runBidiSpoofingTest } from './BidiSpoofingTest.js'
+import { runBalancingTest } from './BalancingTest.js'
+import { runBidiFormatterTest } from './BidiFormatterTest.js'
+import { runBaseDirectionTest } from './BaseDirectionTest.js'
+import { runMarkupTest } from './MarkupTest.js'
+import { runTraceTest } from './TraceTest.js'
+import { runFuzzTest } from './FuzzTest.js'
+import { runJoiningTest } from './JoiningTest.js'
+import { runTerminalTest } from './TerminalTest.js'
+import { runGraphemeClusterTest } from './GraphemeClusterTest.js'
+import { runGraphemeBreakTest } from './GraphemeBreakTest.js'
+import { runMirroringTest } from './MirroringTest.js'
+import { runParagraphDirectionTest } from './ParagraphDirectionTest.js'
 
 import * as bidiFromSrc from '../src/index.js'
 
@@ -7,7 +32,32 @@ console.log('Running test suite on src files...')
 
 const results = [
   runBidiTest(bidiFromSrc),
-  runBidiCharacterTest(bidiFromSrc)
+  runBidiCharacterTest(bidiFromSrc),
+  runSupplementaryCharsTest(bidiFromSrc),
+  runUpdateEmbeddingLevelsTest(bidiFromSrc),
+  runLineBreakTest(bidiFromSrc),
+  runWrappedLinesTest(bidiFromSrc),
+  runCaretTest(bidiFromSrc),
+  runSelectionTest(bidiFromSrc),
+  runHitTestingTest(bidiFromSrc),
+  runCharTypeOverridesTest(bidiFromSrc),
+  runReorderOptionsTest(bidiFromSrc),
+  runVisualRunsTest(bidiFromSrc),
+  runUnicodeDataTest(bidiFromSrc),
+  runLevelsReuseTest(bidiFromSrc),
+  runBidiSpoofingTest(bidiFromSrc),
+  runBalancingTest(bidiFromSrc),
+  runBidiFormatterTest(bidiFromSrc),
+  runBaseDirectionTest(bidiFromSrc),
+  runMarkupTest(bidiFromSrc),
+  runTraceTest(bidiFromSrc),
+  runFuzzTest(bidiFromSrc),
+  runJoiningTest(bidiFromSrc),
+  runTerminalTest(bidiFromSrc),
+  runGraphemeClusterTest(bidiFromSrc),
+  runGraphemeBreakTest(bidiFromSrc),
+  runMirroringTest(bidiFromSrc),
+  runParagraphDirectionTest(bidiFromSrc)
 ]
 
 process.exit(Math.max(...results))